@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { resolveStages, runStages } = require('./pipeline');
+const { BUILTIN_STAGES, DEFAULT_STAGES, MULTI_PASS_STAGES } = require('./processor');
+const { detectFormat, readRecords } = require('./readers');
+
+/**
+ * Record transform benchmark
+ *
+ * Loads records from a sample file into memory and measures records/sec for
+ * parse + transform + stringify with the single-pass default transform and
+ * with the separate multi-pass stages. File reading and gzip are left out so
+ * the numbers reflect the per-record work only.
+ *
+ * Usage:
+ *   node src/benchmark.js [FILE] [--limit=N] [--rounds=N]
+ *
+ * FILE defaults to the first file in data/raw, or the test fixtures if there is none.
+ */
+
+const RAW_DIR = path.join(__dirname, '..', 'data', 'raw');
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+const PIPELINES = {
+    'multi-pass': MULTI_PASS_STAGES,
+    'single-pass': DEFAULT_STAGES
+};
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = { file: null, limit: 10000, rounds: 3 };
+    for (const arg of argv) {
+        if (arg.startsWith('--limit=')) {
+            options.limit = parseInt(arg.slice('--limit='.length), 10);
+        } else if (arg.startsWith('--rounds=')) {
+            options.rounds = parseInt(arg.slice('--rounds='.length), 10);
+        } else {
+            options.file = arg;
+        }
+    }
+    if (!(options.limit > 0) || !(options.rounds > 0)) {
+        throw new Error('--limit and --rounds must be positive integers');
+    }
+    return options;
+}
+
+/**
+ * Reads up to `limit` parseable records from an input file in any supported format
+ * @param {string} file - Path to the sample file
+ * @param {number} limit - Maximum number of records
+ * @returns {Promise<string[]>}
+ */
+async function readSampleLines(file, limit) {
+    const input = fs.createReadStream(file);
+    const lines = [];
+    for await (const line of readRecords(input, file)) {
+        if (typeof line !== 'string' || !line.trim()) {
+            // Tar entry marker or empty line
+            continue;
+        }
+        try {
+            JSON.parse(line);
+        } catch {
+            // Unparseable lines would only measure the error path
+            continue;
+        }
+        lines.push(line);
+        if (lines.length >= limit) {
+            break;
+        }
+    }
+    input.destroy();
+    return lines;
+}
+
+/**
+ * Builds sample lines from the test fixtures, repeated up to `limit`
+ * @param {number} limit - Number of lines
+ * @returns {string[]}
+ */
+function fixtureSampleLines(limit) {
+    const records = fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.input.json'))
+        .map(file => JSON.stringify(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'))));
+    const lines = [];
+    for (let i = 0; i < limit; i++) {
+        lines.push(records[i % records.length]);
+    }
+    return lines;
+}
+
+/**
+ * Times parse + transform + stringify over all lines
+ * @param {string[]} lines - Raw JSON lines
+ * @param {Array} stages - Resolved pipeline stages
+ * @returns {number} Elapsed milliseconds
+ */
+function timeRun(lines, stages) {
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+    for (const line of lines) {
+        const record = runStages(JSON.parse(line), stages);
+        bytes += JSON.stringify(record).length;
+    }
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+    // Use the output so the work can't be optimized away
+    if (bytes === 0) {
+        console.error('Warning: no output produced');
+    }
+    return elapsed;
+}
+
+// Main process
+async function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        let file = options.file;
+        if (!file && fs.existsSync(RAW_DIR)) {
+            const rawFiles = fs.readdirSync(RAW_DIR).filter(f => detectFormat(f) !== null).sort();
+            if (rawFiles.length > 0) {
+                file = path.join(RAW_DIR, rawFiles[0]);
+            }
+        }
+
+        const lines = file ? await readSampleLines(file, options.limit) : fixtureSampleLines(options.limit);
+        if (lines.length === 0) {
+            throw new Error(`No records found in ${file}`);
+        }
+        console.log(`Sample: ${file || 'test fixtures'} (${lines.length} records, ${options.rounds} rounds)`);
+
+        for (const [name, stageSpecs] of Object.entries(PIPELINES)) {
+            const stages = resolveStages(stageSpecs, BUILTIN_STAGES);
+            // Warm up so the JIT has compiled the transforms before timing
+            timeRun(lines.slice(0, Math.min(lines.length, 1000)), stages);
+
+            let best = Infinity;
+            for (let round = 0; round < options.rounds; round++) {
+                best = Math.min(best, timeRun(lines, stages));
+            }
+            const perSecond = Math.round(lines.length / (best / 1000));
+            console.log(`${name.padEnd(12)} ${perSecond.toLocaleString().padStart(10)} records/sec (${best.toFixed(1)} ms)`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,417 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { Writable } = require('stream');
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Checkpointed, atomic output for processJsonlFile
+ *
+ * Output and rejected lines are written to NAME.partial as a series of
+ * complete gzip members (concatenated members are still one valid gzip file).
+ * At each checkpoint the members are synced to disk and the input line
+ * number, committed file sizes and counters are saved to
+ * NAME.checkpoint.json, along with a fingerprint of the options the output
+ * is made with. An interrupted file can then be cut back to the last
+ * checkpoint and resumed from the next input line, as long as the options
+ * are the same. Once the input is done the
+ * partial files are renamed to their final names, so a file under its final
+ * name is always complete.
+ *
+ * The citations file (if any) is written and checkpointed the same way.
+ *
+ * Parquet and Avro output goes through a record writer instead (see
+ * output-formats.js). Those files only become readable once closed, so
+ * they are written to NAME.partial the same way but can't be checkpointed.
+ */
+
+// Buffered lines are compressed into a new gzip member once they reach this size
+const MEMBER_SIZE = 1024 * 1024;
+
+/**
+ * @param {string} filePath - Final path of an output file
+ * @returns {string} Path the file is written to until it is complete
+ */
+function getPartialPath(filePath) {
+    return `${filePath}.partial`;
+}
+
+/**
+ * @param {string} outputPath - Final path of the output file
+ * @returns {string} Path of the checkpoint file for that output
+ */
+function getCheckpointPath(outputPath) {
+    return `${outputPath}.checkpoint.json`;
+}
+
+/**
+ * Writes JSON to a temp file and renames it into place
+ * @param {string} filePath - Destination path
+ * @param {*} data - Data to write
+ */
+function writeJsonAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Size of a file, or -1 if it doesn't exist
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch {
+        return -1;
+    }
+}
+
+/**
+ * Reads the checkpoint for an output file, if it can be resumed from
+ * The partial files must still hold at least the committed bytes.
+ * @param {string} outputPath - Final path of the output file
+ * @param {string|null} rejectedPath - Final path of the rejected lines file
+ * @param {string} sourceFile - Name of the input file the checkpoint must belong to
+ * @param {string|null} [citationsPath=null] - Final path of the citations file; a
+ *   checkpoint from a run without citations can't be resumed with them
+ * @param {string|null} [optionsFingerprint=null] - Fingerprint of the options of this run;
+ *   a checkpoint written with other options can't be resumed
+ * @returns {Object|null} The checkpoint state, or null if there is nothing to resume
+ */
+function readCheckpoint(outputPath, rejectedPath, sourceFile, citationsPath = null, optionsFingerprint = null) {
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(getCheckpointPath(outputPath), 'utf8'));
+    } catch {
+        return null;
+    }
+    if (checkpoint.source_file !== sourceFile) {
+        return null;
+    }
+    if (optionsFingerprint && checkpoint.optionsFingerprint !== optionsFingerprint) {
+        return null;
+    }
+    if (fileSize(getPartialPath(outputPath)) < checkpoint.outputBytes) {
+        return null;
+    }
+    if (checkpoint.rejectedBytes > 0 && (!rejectedPath || fileSize(getPartialPath(rejectedPath)) < checkpoint.rejectedBytes)) {
+        return null;
+    }
+    if (citationsPath && (checkpoint.citationsBytes === undefined || fileSize(getPartialPath(citationsPath)) < checkpoint.citationsBytes)) {
+        return null;
+    }
+    return checkpoint;
+}
+
+/**
+ * Removes the checkpoint and partial files for an output
+ * @param {string} outputPath - Final path of the output file
+ * @param {string|null} rejectedPath - Final path of the rejected lines file
+ * @param {string|null} [citationsPath=null] - Final path of the citations file
+ */
+function removeCheckpoint(outputPath, rejectedPath, citationsPath = null) {
+    const files = [getCheckpointPath(outputPath), getPartialPath(outputPath)];
+    for (const sidePath of [rejectedPath, citationsPath]) {
+        if (sidePath) {
+            files.push(getPartialPath(sidePath));
+        }
+    }
+    for (const file of files) {
+        try {
+            fs.unlinkSync(file);
+        } catch {
+            // Already gone
+        }
+    }
+}
+
+/**
+ * Writable (object mode) behind processJsonlFile's transform stream
+ *
+ * Accepts five kinds of chunks:
+ *   { output: string }     - lines for the output file
+ *   { record: Object }     - a row for the record writer
+ *   { rejected: string }   - lines for the rejected file
+ *   { citations: string }  - lines for the citations file
+ *   { checkpoint: Object } - commit everything so far and save this state
+ */
+class CheckpointedOutput extends Writable {
+    /**
+     * @param {string} outputPath - Final path of the output file
+     * @param {string|null} rejectedPath - Final path of the rejected lines file (null drops them)
+     * @param {Object|null} [resumeFrom=null] - Checkpoint from readCheckpoint to continue from
+     * @param {Object} [options={}]
+     * @param {Object|null} [options.recordWriter=null] - Writes the output from { record } chunks
+     *   (from createRecordWriter); checkpoints aren't supported with one
+     * @param {string|null} [options.citationsPath=null] - Final path of the citations file
+     *   (null drops { citations } chunks)
+     */
+    constructor(outputPath, rejectedPath, resumeFrom = null, options = {}) {
+        const { recordWriter = null, citationsPath = null } = options;
+        super({ objectMode: true });
+        if (recordWriter && resumeFrom) {
+            throw new Error('Output written by a record writer cannot be resumed');
+        }
+        this.checkpointPath = getCheckpointPath(outputPath);
+        this.output = this._target(outputPath, resumeFrom ? resumeFrom.outputBytes : 0);
+        this.rejected = rejectedPath
+            ? this._target(rejectedPath, resumeFrom ? resumeFrom.rejectedBytes || 0 : 0)
+            : null;
+        this.citations = citationsPath
+            ? this._target(citationsPath, resumeFrom ? resumeFrom.citationsBytes : 0)
+            : null;
+        this.recordWriter = recordWriter;
+        // The open record file, once the first row arrives
+        this.records = null;
+        this.result = null;
+    }
+
+    _target(finalPath, committedBytes) {
+        return {
+            finalPath,
+            partialPath: getPartialPath(finalPath),
+            committedBytes,
+            handle: null,
+            bytes: 0,
+            hash: crypto.createHash('sha256'),
+            lines: [],
+            bufferSize: 0
+        };
+    }
+
+    // Opens the partial file, cutting it back to the committed size when resuming
+    async _open(target) {
+        if (target.handle) {
+            return;
+        }
+        if (target.committedBytes === 0) {
+            target.handle = await fs.promises.open(target.partialPath, 'w');
+            return;
+        }
+        target.handle = await fs.promises.open(target.partialPath, 'r+');
+        await target.handle.truncate(target.committedBytes);
+        // Hash the kept part so the checksum covers the whole file
+        const buffer = Buffer.alloc(MEMBER_SIZE);
+        while (target.bytes < target.committedBytes) {
+            const length = Math.min(buffer.length, target.committedBytes - target.bytes);
+            const { bytesRead } = await target.handle.read(buffer, 0, length, target.bytes);
+            if (bytesRead === 0) {
+                throw new Error(`${target.partialPath} is shorter than its checkpoint`);
+            }
+            target.hash.update(buffer.subarray(0, bytesRead));
+            target.bytes += bytesRead;
+        }
+    }
+
+    // Compresses the buffered lines into one gzip member and appends it
+    async _flush(target, force = false) {
+        if (target.lines.length === 0 && !force) {
+            return;
+        }
+        const data = await gzip(target.lines.join(''));
+        target.lines = [];
+        target.bufferSize = 0;
+        await this._open(target);
+        await target.handle.write(data, 0, data.length, target.bytes);
+        target.hash.update(data);
+        target.bytes += data.length;
+    }
+
+    async _commit(state) {
+        if (this.recordWriter) {
+            // Nothing to resume from until the record file is closed
+            return;
+        }
+        const targets = [this.output, this.rejected, this.citations].filter(target => target);
+        for (const target of targets) {
+            await this._flush(target);
+            if (target !== this.rejected || target.committedBytes > 0) {
+                // Makes sure the sizes below include what was kept from the last run
+                await this._open(target);
+            }
+            if (target.handle) {
+                await target.handle.sync();
+            }
+        }
+        writeJsonAtomic(this.checkpointPath, {
+            ...state,
+            outputBytes: this.output.bytes,
+            rejectedBytes: this.rejected ? this.rejected.bytes : 0,
+            citationsBytes: this.citations ? this.citations.bytes : undefined,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    async _openRecords() {
+        if (!this.records) {
+            this.records = await this.recordWriter.open(this.output.partialPath);
+        }
+    }
+
+    async _handle(chunk) {
+        if (chunk.checkpoint) {
+            return this._commit(chunk.checkpoint);
+        }
+        if (chunk.record !== undefined) {
+            await this._openRecords();
+            return this.records.append(chunk.record);
+        }
+        const kind = chunk.rejected !== undefined ? 'rejected'
+            : chunk.citations !== undefined ? 'citations'
+                : 'output';
+        const target = this[kind];
+        if (!target) {
+            return;
+        }
+        const line = chunk[kind];
+        target.lines.push(line);
+        target.bufferSize += line.length;
+        if (target.bufferSize >= MEMBER_SIZE) {
+            await this._flush(target);
+        }
+    }
+
+    _write(chunk, encoding, callback) {
+        this._handle(chunk).then(() => callback(), callback);
+    }
+
+    // Closes the record file and hashes it, as its bytes aren't seen while it is written
+    async _finishRecords() {
+        // An empty input still produces a valid file without rows
+        await this._openRecords();
+        const records = this.records;
+        this.records = null;
+        await records.close();
+        for await (const data of fs.createReadStream(this.output.partialPath)) {
+            this.output.hash.update(data);
+            this.output.bytes += data.length;
+        }
+    }
+
+    // Writes out the rest of a gzipped line file and renames it to its final name
+    async _finishLines(target) {
+        // An empty input still produces a valid (empty) gzip file
+        await this._flush(target, target.bytes === 0 && target.committedBytes === 0);
+        await this._open(target);
+        await target.handle.close();
+        target.handle = null;
+        fs.renameSync(target.partialPath, target.finalPath);
+    }
+
+    async _finish() {
+        if (this.recordWriter) {
+            await this._finishRecords();
+            fs.renameSync(this.output.partialPath, this.output.finalPath);
+        } else {
+            await this._finishLines(this.output);
+        }
+        if (this.citations) {
+            await this._finishLines(this.citations);
+        }
+
+        let rejectedPath = null;
+        if (this.rejected) {
+            await this._flush(this.rejected);
+            if (this.rejected.committedBytes > 0) {
+                // Cuts off anything written after the checkpoint
+                await this._open(this.rejected);
+            }
+            if (this.rejected.handle) {
+                await this.rejected.handle.close();
+                this.rejected.handle = null;
+            }
+            if (this.rejected.bytes > 0 || this.rejected.committedBytes > 0) {
+                fs.renameSync(this.rejected.partialPath, this.rejected.finalPath);
+                rejectedPath = this.rejected.finalPath;
+            } else if (fs.existsSync(this.rejected.finalPath)) {
+                // Left over from an earlier run of this file
+                fs.unlinkSync(this.rejected.finalPath);
+            }
+        }
+
+        try {
+            fs.unlinkSync(this.checkpointPath);
+        } catch {
+            // No checkpoint was written
+        }
+        this.result = {
+            outputBytes: this.output.bytes,
+            outputSha256: this.output.hash.digest('hex'),
+            rejectedPath,
+            citationsPath: this.citations ? this.citations.finalPath : null
+        };
+    }
+
+    _final(callback) {
+        this._finish().then(() => callback(), callback);
+    }
+
+    _destroy(err, callback) {
+        const handles = [this.output, this.rejected, this.citations]
+            .filter(target => target && target.handle)
+            .map(target => target.handle.close().catch(() => {}));
+        if (this.records) {
+            // Closes the file; the partial output is removed by the caller
+            handles.push(this.records.close().catch(() => {}));
+        }
+        Promise.all(handles).then(() => callback(err));
+    }
+}
+
+/**
+ * Loads the manifest of completed files
+ * @param {string} manifestPath - Path to the manifest
+ * @returns {{files: Object<string, Object>}} Entries keyed by input file name
+ */
+function loadCompletedManifest(manifestPath) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return { ...manifest, files: manifest.files || {} };
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            throw new Error(`Could not read ${manifestPath}: ${err.message}`);
+        }
+        return { files: {} };
+    }
+}
+
+/**
+ * Adds or replaces a file's entry in the manifest of completed files
+ * @param {string} manifestPath - Path to the manifest
+ * @param {string} file - Input file name
+ * @param {Object} entry - Output name, record counts, size and checksum
+ */
+function recordCompletedFile(manifestPath, file, entry) {
+    const manifest = loadCompletedManifest(manifestPath);
+    manifest.files[file] = { ...entry, completedAt: new Date().toISOString() };
+    writeJsonAtomic(manifestPath, manifest);
+}
+
+/**
+ * Checks whether a file is listed as completed and its output is intact
+ * Compares the output size; the checksum is kept for downstream verification.
+ * @param {Object} manifest - From loadCompletedManifest
+ * @param {string} file - Input file name
+ * @param {string} outputDir - Directory holding the outputs
+ * @returns {boolean}
+ */
+function isFileCompleted(manifest, file, outputDir) {
+    const entry = manifest.files[file];
+    if (!entry || !entry.output) {
+        return false;
+    }
+    return fileSize(path.join(outputDir, entry.output)) === entry.outputBytes;
+}
+
+module.exports = {
+    CheckpointedOutput,
+    getPartialPath,
+    getCheckpointPath,
+    readCheckpoint,
+    removeCheckpoint,
+    writeJsonAtomic,
+    loadCompletedManifest,
+    recordCompletedFile,
+    isFileCompleted
+};
@@ -0,0 +1,62 @@
+/**
+ * Citation edge list from processed records
+ *
+ * Each entry of a record's reference array becomes one edge from the
+ * record's DOI to the referenced DOI, so the DOI->DOI citation graph can be
+ * loaded directly instead of being unnested from the full table. References
+ * without a DOI are kept with their unstructured text, for matching later.
+ */
+
+/**
+ * Normalizes a cited DOI for joining
+ * @param {*} doi - DOI as found in the reference
+ * @returns {string|null} Trimmed, lowercased DOI, or null if there is none
+ */
+function normalizeCitedDoi(doi) {
+    if (typeof doi !== 'string' || !doi.trim()) {
+        return null;
+    }
+    return doi.trim().toLowerCase();
+}
+
+/**
+ * Reads a reference field by its processed or raw (dashed) name
+ * @param {Object} reference - Reference entry
+ * @param {string} name - Field name with underscores
+ * @returns {*} The value, or null
+ */
+function getField(reference, name) {
+    const value = reference[name] !== undefined ? reference[name] : reference[name.replace(/_/g, '-')];
+    return value !== undefined ? value : null;
+}
+
+/**
+ * Builds the citation edges of a record
+ * @param {Object} record - A processed record
+ * @returns {Array<{citing_doi: string|null, cited_doi: string|null, doi_asserted_by: string|null,
+ *   reference_key: string|null, unstructured: string|null}>} One edge per reference
+ */
+function extractCitations(record) {
+    if (!record || !Array.isArray(record.reference)) {
+        return [];
+    }
+    const citingDoi = typeof record.DOI === 'string' ? record.DOI : null;
+    return record.reference
+        .filter(reference => reference !== null && typeof reference === 'object' && !Array.isArray(reference))
+        .map((reference) => {
+            const citedDoi = normalizeCitedDoi(getField(reference, 'DOI'));
+            return {
+                citing_doi: citingDoi,
+                cited_doi: citedDoi,
+                doi_asserted_by: getField(reference, 'doi_asserted_by'),
+                reference_key: getField(reference, 'key'),
+                // Only needed to resolve references without a DOI
+                unstructured: citedDoi ? null : getField(reference, 'unstructured')
+            };
+        });
+}
+
+module.exports = {
+    extractCitations,
+    normalizeCitedDoi
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OUTPUT_FORMATS } = require('./output-formats');
+const { parseFilter } = require('./filters');
+
+/**
+ * Command line options for process-all.js
+ *
+ * Options come from, in order of precedence: command line flags, a JSON
+ * config file (--config), the original environment variables (DEBUG,
+ * RESUME, FILE, QUIET, PIPELINE, VALIDATE) and the defaults below.
+ */
+
+const DEFAULTS = {
+    input: path.join(__dirname, '..', 'data', 'raw'),
+    output: path.join(__dirname, '..', 'data', 'processed'),
+    logs: path.join(__dirname, '..', 'logs'),
+    jobs: Math.max(1, os.cpus().length - 1), // N-1 cores, one worker thread each
+    files: [],
+    dryRun: false,
+    resume: true,
+    debug: false,
+    quiet: false,
+    validate: false,
+    outputFormat: 'ndjson',
+    citations: false,
+    pipeline: null,
+    projection: null,
+    filters: []
+};
+
+const USAGE = `Usage: node src/process-all.js [options] [FILES...]
+
+Options:
+  --input=DIR        Directory with the raw input files (default: data/raw)
+  --output=DIR       Directory for processed files and manifests (default: data/processed)
+  --logs=DIR         Directory for logs (default: logs)
+  --jobs=N           Number of worker threads (default: CPU cores - 1)
+  --files=SELECTORS  Comma-separated file globs or number ranges, e.g. 0-99,150 or "1*.jsonl.gz"
+  --config=FILE      JSON file with any of these options (paths are relative to the file)
+  --dry-run          List the files that would be processed, then exit
+  --no-resume        Start every file from scratch, even if already complete
+  --debug            Write debug logs next to the output files
+  --quiet            No progress display
+  --validate=MODE    Check records against schema.json: report or quarantine
+  --output-format=F  ndjson (gzipped, default), or parquet/avro typed from schema.json
+  --citations        Also write each file's citation edge list (NNN_citations.jsonl.gz)
+  --pipeline=FILE    Custom pipeline stage config (.json or .js)
+  --projection=FILE  Only write the fields a projection file includes/excludes
+  --filter=EXPR      Only write records matching EXPR, e.g. type=journal-article or issued>=2015
+                     (repeat for several filters, all of which must match)
+  --help             Show this help
+
+FILES can also be given as arguments, with the same syntax as --files.
+`;
+
+// Flags that take a value, and the option each one sets
+const VALUE_FLAGS = {
+    '--input': 'input',
+    '--output': 'output',
+    '--logs': 'logs',
+    '--jobs': 'jobs',
+    '--files': 'files',
+    '--config': 'config',
+    '--validate': 'validate',
+    '--output-format': 'outputFormat',
+    '--pipeline': 'pipeline',
+    '--projection': 'projection',
+    '--filter': 'filters'
+};
+
+// Flags without a value
+const BOOLEAN_FLAGS = {
+    '--dry-run': ['dryRun', true],
+    '--resume': ['resume', true],
+    '--no-resume': ['resume', false],
+    '--debug': ['debug', true],
+    '--quiet': ['quiet', true],
+    '--citations': ['citations', true],
+    '--help': ['help', true]
+};
+
+// Options a config file may set, and whether they are paths
+const CONFIG_KEYS = {
+    input: true,
+    output: true,
+    logs: true,
+    pipeline: true,
+    projection: true,
+    jobs: false,
+    files: false,
+    dryRun: false,
+    resume: false,
+    debug: false,
+    quiet: false,
+    validate: false,
+    outputFormat: false,
+    citations: false,
+    filters: false
+};
+
+/**
+ * Splits a comma-separated selector list
+ * @param {string|string[]} value - e.g. "0-99,150"
+ * @returns {string[]}
+ */
+function splitSelectors(value) {
+    return [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(item => item);
+}
+
+/**
+ * Parses command line arguments
+ * Accepts both --flag=value and --flag value.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} The options given on the command line
+ */
+function parseArgs(argv) {
+    const args = { files: [], filters: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`${flag} needs a value`);
+            }
+            if (flag === '--files') {
+                args.files.push(...splitSelectors(value));
+            } else if (flag === '--filter') {
+                // Values may contain commas ("type=a,b"), so each flag is one filter
+                args.filters.push(value);
+            } else {
+                args[VALUE_FLAGS[flag]] = value;
+            }
+        } else if (BOOLEAN_FLAGS[flag] && inlineValue === undefined) {
+            const [key, value] = BOOLEAN_FLAGS[flag];
+            args[key] = value;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            args.files.push(...splitSelectors(arg));
+        }
+    }
+    if (args.files.length === 0) {
+        delete args.files;
+    }
+    if (args.filters.length === 0) {
+        delete args.filters;
+    }
+    return args;
+}
+
+/**
+ * Reads a JSON config file, resolving its paths relative to the file
+ * @param {string} configPath - Path to the config file
+ * @returns {Object} The options it sets
+ */
+function loadConfigFile(configPath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read config ${configPath}: ${err.message}`);
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config ${configPath} must be a JSON object`);
+    }
+
+    const baseDir = path.dirname(path.resolve(configPath));
+    const options = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (!(key in CONFIG_KEYS)) {
+            throw new Error(`Unknown option in ${configPath}: ${key}`);
+        }
+        if (CONFIG_KEYS[key] && typeof value === 'string') {
+            options[key] = path.resolve(baseDir, value);
+        } else if (key === 'files') {
+            options.files = splitSelectors(value);
+        } else if (key === 'filters') {
+            options.filters = [].concat(value);
+        } else {
+            options[key] = value;
+        }
+    }
+    return options;
+}
+
+/**
+ * Reads the legacy environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} The options they set
+ */
+function optionsFromEnv(env) {
+    const options = {};
+    if (env.DEBUG !== undefined) options.debug = env.DEBUG === 'true';
+    if (env.RESUME !== undefined) options.resume = env.RESUME !== 'false';
+    if (env.QUIET !== undefined) options.quiet = env.QUIET === 'true';
+    if (env.FILE) options.files = [path.basename(env.FILE)];
+    if (env.PIPELINE) options.pipeline = path.resolve(env.PIPELINE);
+    if (env.VALIDATE) options.validate = env.VALIDATE;
+    return options;
+}
+
+/**
+ * Works out the options for a run
+ * @param {string[]} argv - Command line arguments after the script name
+ * @param {Object} [env={}] - Environment variables
+ * @returns {Object} Complete, validated options (paths are absolute)
+ */
+function resolveOptions(argv, env = {}) {
+    const args = parseArgs(argv);
+    for (const key of ['input', 'output', 'logs', 'pipeline', 'projection']) {
+        if (args[key] !== undefined) {
+            args[key] = path.resolve(args[key]);
+        }
+    }
+    const config = args.config ? loadConfigFile(args.config) : {};
+    const options = { ...DEFAULTS, ...optionsFromEnv(env), ...config, ...args };
+
+    const jobs = Number(options.jobs);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        throw new Error(`--jobs must be a positive integer, got ${options.jobs}`);
+    }
+    options.jobs = jobs;
+    if (options.validate === 'false' || options.validate === '') {
+        options.validate = false;
+    }
+    if (options.validate && options.validate !== 'report' && options.validate !== 'quarantine') {
+        throw new Error(`--validate must be report or quarantine, got ${options.validate}`);
+    }
+    if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+        throw new Error(`--output-format must be ${OUTPUT_FORMATS.join(', ')}, got ${options.outputFormat}`);
+    }
+    for (const selector of options.files) {
+        // Surfaces bad patterns now rather than when matching
+        parseSelector(selector);
+    }
+    for (const expression of options.filters) {
+        parseFilter(expression);
+    }
+    return options;
+}
+
+/**
+ * Converts a file glob (*, ? and [...]) to a regular expression
+ * @param {string} glob - e.g. "1*.jsonl.gz"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            pattern += '.*';
+        } else if (char === '?') {
+            pattern += '.';
+        } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const end = glob.indexOf(']', i + 2);
+            const chars = glob.slice(i + 1, end);
+            pattern += '[' + (chars[0] === '!' ? '^' + chars.slice(1) : chars).replace(/\\/g, '\\\\') + ']';
+            i = end;
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Parses a file selector: a number ("7"), a number range ("0-99"),
+ * a glob ("1*.jsonl.gz") or an exact file name
+ * @param {string} selector - The selector
+ * @returns {{exact: boolean, matches: function(string): boolean}}
+ */
+function parseSelector(selector) {
+    const range = /^(\d+)(?:-(\d+))?$/.exec(selector);
+    if (range) {
+        const from = parseInt(range[1], 10);
+        const to = range[2] !== undefined ? parseInt(range[2], 10) : from;
+        if (to < from) {
+            throw new Error(`Invalid file range: ${selector}`);
+        }
+        return {
+            exact: false,
+            matches: (file) => {
+                const number = parseInt(file.split('.')[0], 10);
+                return number >= from && number <= to;
+            }
+        };
+    }
+    if (/[*?[]/.test(selector)) {
+        const regex = globToRegExp(selector);
+        return { exact: false, matches: file => regex.test(file) };
+    }
+    return { exact: true, matches: file => file === path.basename(selector) };
+}
+
+/**
+ * Picks the files matching any of the selectors
+ * @param {string[]} files - Available file names
+ * @param {string[]} selectors - From options.files (empty selects everything)
+ * @returns {{files: string[], explicit: Set<string>, unmatched: string[]}}
+ *   explicit holds files named exactly, which are processed even if complete;
+ *   unmatched lists selectors that matched nothing
+ */
+function selectFiles(files, selectors) {
+    if (selectors.length === 0) {
+        return { files, explicit: new Set(), unmatched: [] };
+    }
+    const selected = new Set();
+    const explicit = new Set();
+    const unmatched = [];
+    for (const selector of selectors) {
+        const { exact, matches } = parseSelector(selector);
+        const matched = files.filter(matches);
+        if (matched.length === 0) {
+            unmatched.push(selector);
+        }
+        for (const file of matched) {
+            selected.add(file);
+            if (exact) {
+                explicit.add(file);
+            }
+        }
+    }
+    return { files: files.filter(file => selected.has(file)), explicit, unmatched };
+}
+
+module.exports = {
+    USAGE,
+    parseArgs,
+    resolveOptions,
+    globToRegExp,
+    selectFiles
+};
@@ -0,0 +1,167 @@
+/**
+ * Record filters for processing subsets
+ *
+ * A filter expression compares one field of the raw Crossref record with a
+ * value, e.g. "type=journal-article", "member=78,311", "issued>=2015" or
+ * "doi^=10.1016/j.". Records must match every filter to be written; the
+ * others are counted and skipped before any transformation.
+ *
+ *   type, member, prefix, doi   =  is one of (comma-separated), != is none of,
+ *                               ^= starts with one of
+ *   issued, published, ...      =, >=, <=, > and < against a YYYY, YYYY-MM or
+ *                               YYYY-MM-DD date; "=2015" means within 2015
+ *
+ * Text comparisons ignore case. Dates without a month or day count as the
+ * first day of their year or month, and records without a valid date never
+ * match a date filter.
+ */
+
+// Text fields and the record key they are read from
+const TEXT_FIELDS = {
+    type: 'type',
+    member: 'member',
+    prefix: 'prefix',
+    doi: 'DOI'
+};
+
+// Date fields, read from their date-parts
+const DATE_FIELDS = ['issued', 'published', 'published-print', 'published-online', 'created', 'deposited', 'indexed'];
+
+const EXPRESSION_PATTERN = /^\s*([A-Za-z_-]+)\s*(!=|>=|<=|\^=|=|>|<)\s*(.*?)\s*$/;
+const DATE_VALUE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * Formats date parts as a comparable YYYY-MM-DD string
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {string}
+ */
+function formatDate(year, month, day) {
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parses the date of a date filter into the first and last day it covers
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {{first: string, last: string}|null} Null if the value isn't a date
+ */
+function parseDateBound(value) {
+    const match = DATE_VALUE_PATTERN.exec(value);
+    if (!match) {
+        return null;
+    }
+    const year = parseInt(match[1], 10);
+    const month = match[2] !== undefined ? parseInt(match[2], 10) : null;
+    const day = match[3] !== undefined ? parseInt(match[3], 10) : null;
+    if (month !== null && (month < 1 || month > 12)) {
+        return null;
+    }
+    if (month === null) {
+        return { first: formatDate(year, 1, 1), last: formatDate(year, 12, 31) };
+    }
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day === null) {
+        return { first: formatDate(year, month, 1), last: formatDate(year, month, daysInMonth) };
+    }
+    if (day < 1 || day > daysInMonth) {
+        return null;
+    }
+    return { first: formatDate(year, month, day), last: formatDate(year, month, day) };
+}
+
+/**
+ * Reads a date field of a raw record as a YYYY-MM-DD string
+ * Processed records, where the date is already a string, work too.
+ * @param {*} value - The field, e.g. {"date-parts": [[2015, 3]]}
+ * @returns {string|null} Null if there is no valid date
+ */
+function readRecordDate(value) {
+    if (typeof value === 'string') {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+    }
+    const dateParts = value && value['date-parts'];
+    const parts = Array.isArray(dateParts) && Array.isArray(dateParts[0]) ? dateParts[0] : dateParts;
+    if (!Array.isArray(parts) || !Number.isInteger(parts[0])) {
+        return null;
+    }
+    const month = Number.isInteger(parts[1]) && parts[1] >= 1 && parts[1] <= 12 ? parts[1] : 1;
+    const day = month === parts[1] && Number.isInteger(parts[2]) && parts[2] >= 1 && parts[2] <= 31 ? parts[2] : 1;
+    return formatDate(parts[0], month, day);
+}
+
+/**
+ * Parses one filter expression
+ * @param {string} expression - e.g. "issued>=2015"
+ * @returns {function(Object): boolean} Whether a raw record matches
+ * @throws {Error} If the expression is invalid
+ */
+function parseFilter(expression) {
+    const match = EXPRESSION_PATTERN.exec(String(expression));
+    if (!match || match[3] === '') {
+        throw new Error(`Invalid filter: ${expression} (expected FIELD=VALUE, FIELD>=DATE, ...)`);
+    }
+    const field = match[1].toLowerCase().replace(/_/g, '-');
+    const [, , operator, value] = match;
+
+    if (TEXT_FIELDS[field]) {
+        const key = TEXT_FIELDS[field];
+        const values = value.split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+        const read = record => (record[key] === undefined || record[key] === null ? null : String(record[key]).toLowerCase());
+        if (operator === '=') {
+            return (record) => values.includes(read(record));
+        }
+        if (operator === '!=') {
+            return (record) => !values.includes(read(record));
+        }
+        if (operator === '^=') {
+            return (record) => {
+                const text = read(record);
+                return text !== null && values.some(item => text.startsWith(item));
+            };
+        }
+        throw new Error(`Invalid filter: ${expression} (${field} takes =, != or ^=)`);
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+        const bound = parseDateBound(value);
+        if (!bound) {
+            throw new Error(`Invalid filter: ${expression} (dates are YYYY, YYYY-MM or YYYY-MM-DD)`);
+        }
+        const compare = {
+            '=': date => date >= bound.first && date <= bound.last,
+            '>=': date => date >= bound.first,
+            '>': date => date > bound.last,
+            '<=': date => date <= bound.last,
+            '<': date => date < bound.first
+        }[operator];
+        if (!compare) {
+            throw new Error(`Invalid filter: ${expression} (${field} takes =, >=, <=, > or <)`);
+        }
+        return (record) => {
+            const date = readRecordDate(record[field]);
+            return date !== null && compare(date);
+        };
+    }
+
+    throw new Error(`Invalid filter: ${expression} (unknown field ${match[1]}; ` +
+        `available: ${[...Object.keys(TEXT_FIELDS), ...DATE_FIELDS].join(', ')})`);
+}
+
+/**
+ * Combines filter expressions into one test
+ * @param {string[]} expressions - Filter expressions, all of which must match
+ * @returns {function(Object): boolean|null} Whether a raw record matches, or null without filters
+ */
+function compileFilters(expressions) {
+    const filters = [].concat(expressions || []).map(parseFilter);
+    if (filters.length === 0) {
+        return null;
+    }
+    return record => record !== null && typeof record === 'object' && filters.every(filter => filter(record));
+}
+
+module.exports = {
+    parseFilter,
+    compileFilters
+};
@@ -2,113 +2,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn, execSync } = require('child_process');
-const zlib = require('zlib');
-const os = require('os');
+const { SchemaInferrer, mergeSchemas, inferFileSchema } = require('./schema-inference');
+const { diffSchemas, formatDiff, hasChanges } = require('./schema-diff');
+const { loadProjection, pruneSchema } = require('./projection');
 
 // Configuration
 const BASE_DIR = path.join(__dirname, '..');
 const PROCESSED_DIR = path.join(BASE_DIR, 'data', 'processed');
-const TEMP_DIR = path.join(os.tmpdir(), 'crossref-schema-gen');
 const SCHEMA_FILE = path.join(BASE_DIR, 'schema.json');
-const specificFile = process.argv[2]; // optional CLI argument for a specific file
-
-
-// Ensure temp directory exists
-if (!fs.existsSync(TEMP_DIR)) {
-    fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
-
-// Check if generate-schema is installed and check tool capabilities
-function checkDependencies() {
-    try {
-        // Check if generate-schema supports --input_file flag
-        const helpOutput = execSync('generate-schema --help').toString();
-        const hasInputFileFlag = helpOutput.includes('--input_file');
-        
-        if (hasInputFileFlag) {
-            return { tool: 'generate-schema', useInputFileFlag: true };
-        } else {
-            console.log('generate-schema found but it doesn\'t support --input_file flag. Will use pipe method.');
-            return { tool: 'generate-schema', useInputFileFlag: false };
-        }
-    } catch (e) {
-        try {
-            // Check if python tool supports --input_file flag
-            const helpOutput = execSync('python3 -m bigquery_schema_generator.generate_schema --help').toString();
-            const hasInputFileFlag = helpOutput.includes('--input_file');
-            
-            if (hasInputFileFlag) {
-                return { tool: 'python', useInputFileFlag: true };
-            } else {
-                console.log('bigquery-schema-generator found but it doesn\'t support --input_file flag. Will use pipe method.');
-                return { tool: 'python', useInputFileFlag: false };
-            }
-        } catch (e) {
-            console.error('Error: Neither generate-schema nor bigquery-schema-generator is installed.');
-            console.error('Please install one of the following:');
-            console.error('npm install -g generate-schema');
-            console.error('pip3 install bigquery-schema-generator');
-            process.exit(1);
-        }
-    }
-}
-
-// Process a single line to ensure it's valid JSON
-function processLine(line) {
-    try {
-        if (line.trim()) {
-            JSON.parse(line);
-            return line;
-        }
-    } catch (e) {
-        console.warn('Skipping invalid JSON line');
-    }
-    return null;
-}
-
-// Unzip and process a file line by line
-async function processGzipFile(inputFile, outputFile) {
-    return new Promise((resolve, reject) => {
-        const gunzip = zlib.createGunzip();
-        const input = fs.createReadStream(inputFile);
-        const output = fs.createWriteStream(outputFile);
-        let buffer = '';
-        let linesProcessed = 0;
-
-        gunzip.on('data', (data) => {
-            buffer += data.toString();
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // Keep the last partial line in buffer
-
-            for (const line of lines) {
-                const processedLine = processLine(line);
-                if (processedLine) {
-                    output.write(processedLine + '\n');
-                    linesProcessed++;
-                }
-            }
-        });
-
-        gunzip.on('end', () => {
-            if (buffer) {
-                const processedLine = processLine(buffer);
-                if (processedLine) {
-                    output.write(processedLine + '\n');
-                    linesProcessed++;
-                }
-            }
-            output.end();
-        });
-
-        output.on('finish', () => resolve(linesProcessed));
-        input.on('error', reject);
-        gunzip.on('error', reject);
-        output.on('error', reject);
-
-        input.pipe(gunzip);
-    });
-}
 
 // Generate backup of schema file before processing
 function backupSchema(schemaFile) {
@@ -122,114 +23,88 @@ function backupSchema(schemaFile) {
     return null;
 }
 
-// Function to fix schema incompatibility issues
-async function fixIncompatibleSchema(schemaFile, tempFile, toolConfig) {
-    console.log('Attempting to fix incompatible schema...');
-    
-    try {
-        // Read the current schema
-        const currentSchema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
-        
-        // Create a new schema from scratch with just this file
-        const newSchemaData = await generateSchema(tempFile, null, toolConfig);
-        const newSchema = JSON.parse(newSchemaData);
-        
-        // Manual merge strategy - this is a simplified approach
-        // A more sophisticated approach might recursively merge the schemas
-        console.log('Creating merged schema...');
-        
-        // Write the merged schema back to file
-        fs.writeFileSync(schemaFile, JSON.stringify(newSchema, null, 2));
-        
-        return true;
-    } catch (error) {
-        console.error(`Failed to fix schema incompatibility: ${error.message}`);
-        return false;
+/**
+ * Writes schema.json pruned to the fields of a projection (see projection.js)
+ * e.g. projections/works_core.json -> projections/works_core.schema.json
+ * @param {string} projectionFile - Projection file
+ * @param {string} [outputFile] - Where to write the pruned schema
+ * @returns {string} The path written
+ */
+function writeProjectedSchema(projectionFile, outputFile) {
+    const projection = loadProjection(projectionFile);
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    const pruned = pruneSchema(schema, projection);
+    if (pruned.length === 0) {
+        throw new Error(`Projection ${projectionFile} keeps none of the fields in ${SCHEMA_FILE}`);
     }
+    const target = outputFile || projectionFile.replace(/(\.json)?$/, '.schema.json');
+    fs.writeFileSync(target, JSON.stringify(pruned, null, 2) + '\n');
+    console.log(`Pruned schema with ${pruned.length} of ${schema.length} top-level fields saved to: ${target}`);
+    return target;
 }
 
-async function generateSchema(inputFile, schemaPath = null, toolConfig) {
-    return new Promise((resolve, reject) => {
-        let command, args;
-        const { tool, useInputFileFlag } = toolConfig;
-        
-        if (tool === 'generate-schema') {
-            command = 'generate-schema';
-            args = [
-                '--input_format', 'json',
-                '--keep_nulls',
-                '--ignore_invalid_lines'
-            ];
-            if (schemaPath) {
-                args.push('--existing_schema_path', schemaPath);
-            }
-        } else { // python
-            command = 'python3';
-            args = [
-                '-m', 'bigquery_schema_generator.generate_schema',
-                '--input_format', 'json',
-                '--keep_nulls',
-                '--ignore_invalid_lines'
-            ];
-            if (schemaPath) {
-                args.push('--existing_schema_path', schemaPath);
-            }
-        }
-
-        const schema = spawn(command, args);
-        let schemaData = '';
-        let errorData = '';
-
-        schema.stdout.on('data', (data) => {
-            schemaData += data;
-        });
-
-        schema.stderr.on('data', (data) => {
-            errorData += data;
-        });
-
-        schema.on('error', (error) => {
-            reject(new Error(`Schema process error: ${error.message}`));
-        });
-
-        schema.on('close', (code) => {
-            if (code !== 0) {
-                reject(new Error(`Schema generation failed: ${errorData}`));
-            } else {
-                resolve(schemaData);
+// Options that take a value, as --flag=value or --flag value
+const VALUE_FLAGS = {
+    '--projection': 'projection', // prune schema.json instead of generating it
+    '--output': 'output'
+};
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{fresh: boolean, projection: string|null, output: string|null, file: string|null}}
+ * @throws {Error} On unknown options, missing values or more than one file
+ */
+function parseArgs(argv) {
+    const options = { fresh: false, projection: null, output: null, file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`${flag} needs a value`);
             }
-        });
-
-        // Handle input differently based on the tool capability
-        if (useInputFileFlag) {
-            // Add the input file flag
-            args.push('--input_file', inputFile);
-            schema.stdin.end();
+            options[VALUE_FLAGS[flag]] = value;
+        } else if (arg === '--fresh') {
+            // Ignore the existing schema.json
+            options.fresh = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (options.file) {
+            throw new Error(`Only one file can be given (got ${options.file} and ${arg})`);
         } else {
-            // Use the old piping method
-            const input = fs.createReadStream(inputFile);
-            input.on('error', reject);
-            
-            schema.stdin.on('error', (err) => {
-                // EPIPE errors are expected when the child process closes stdin
-                if (err.code !== 'EPIPE') {
-                    reject(err);
-                }
-            });
-            
-            input.pipe(schema.stdin);
+            // Optional specific file to generate the schema from
+            options.file = arg;
         }
-    });
+    }
+    if (options.output && !options.projection) {
+        throw new Error('--output only applies with --projection');
+    }
+    return options;
 }
 
 // Main process
 async function main() {
-    const specificFile = process.argv[2]; // optional CLI argument for a specific file
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Usage: node src/generate-schema.js [FILE] [--fresh]');
+        console.error('       node src/generate-schema.js --projection FILE [--output FILE]');
+        process.exit(1);
+    }
+    const { fresh, file: specificFile } = options;
 
     try {
-        console.log('Checking dependencies...');
-        const toolConfig = checkDependencies();
-        console.log(`Using ${toolConfig.tool} for schema generation with ${toolConfig.useInputFileFlag ? '--input_file flag' : 'pipe method'}`);
+        if (options.projection) {
+            writeProjectedSchema(options.projection, options.output);
+            return;
+        }
 
         let files;
         if (specificFile) {
@@ -252,109 +127,86 @@ async function main() {
 
         console.log(`Found ${files.length} file(s) to process`);
 
-        let currentSchema = null;
+        let schema = [];
+        // The schema before this run, to report what changed
+        let previousSchema = [];
         if (fs.existsSync(SCHEMA_FILE)) {
-            console.log(`Existing schema found at ${SCHEMA_FILE}. Will build upon it.`);
             backupSchema(SCHEMA_FILE);
-            currentSchema = SCHEMA_FILE;
+            previousSchema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+            if (fresh) {
+                console.log(`Ignoring existing schema at ${SCHEMA_FILE} (--fresh)`);
+            } else {
+                console.log(`Existing schema found at ${SCHEMA_FILE}. Will build upon it.`);
+                schema = previousSchema;
+            }
         }
 
         let totalLinesProcessed = 0;
-        let lastSuccessfulFile = -1;
+        let successfulFiles = 0;
+        let totalConflicts = 0;
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
             console.log(`\nProcessing file ${i + 1}/${files.length}: ${file}`);
 
-            const tempFile = path.join(TEMP_DIR, `temp_${i}.jsonl`);
-
             try {
-                console.log('Unzipping and validating JSON lines...');
-                const linesProcessed = await processGzipFile(file, tempFile);
+                // Infer each file on its own so a failing file can't leave a partial schema behind
+                const fileInferrer = new SchemaInferrer();
+                const { linesProcessed, invalidLines } = await inferFileSchema(file, fileInferrer);
                 totalLinesProcessed += linesProcessed;
                 console.log(`Processed ${linesProcessed} valid JSON lines`);
-
-                if (linesProcessed < 10) {
-                    console.log(`File has too few valid lines (${linesProcessed}), skipping schema update`);
-                    fs.unlinkSync(tempFile);
-                    continue;
+                if (invalidLines > 0) {
+                    console.warn(`Skipped ${invalidLines} invalid JSON lines`);
                 }
 
-                console.log('Updating schema...');
-                try {
-                    const schemaData = await generateSchema(tempFile, currentSchema, toolConfig);
-                    fs.writeFileSync(SCHEMA_FILE, schemaData);
-                    currentSchema = SCHEMA_FILE;
-                    lastSuccessfulFile = i;
-                    console.log(`Schema updated successfully`);
-                } catch (schemaError) {
-                    console.error(`Schema generation error: ${schemaError.message}`);
-
-                    if (schemaError.message.includes('Unexpected schema_entry type') ||
-                        schemaError.message.includes('old (hard); new (ignore)')) {
-
-                        try {
-                            if (await fixIncompatibleSchema(SCHEMA_FILE, tempFile, toolConfig)) {
-                                console.log('Successfully fixed schema incompatibility');
-                                lastSuccessfulFile = i;
-                            } else {
-                                console.error('Could not fix schema incompatibility, skipping this file');
-                            }
-                        } catch (fixError) {
-                            console.error(`Error while trying to fix schema: ${fixError.message}`);
-                            console.log('Skipping this file due to unfixable schema incompatibility');
-                        }
-                    } else {
-                        console.error('Skipping file due to schema generation error');
-                    }
+                // Merge into the accumulated schema, logging conflicts within and across files
+                const merged = mergeSchemas(schema, fileInferrer.toSchema(), { source: file });
+                const conflicts = [...fileInferrer.conflicts.map(c => ({ ...c, source: file })), ...merged.conflicts];
+                for (const conflict of conflicts) {
+                    console.warn(`Schema conflict at ${conflict.path} in ${conflict.source}: ${conflict.types}, ${conflict.resolution}`);
                 }
+                totalConflicts += conflicts.length;
+
+                schema = merged.schema;
+                fs.writeFileSync(SCHEMA_FILE, JSON.stringify(schema, null, 2) + '\n');
+                successfulFiles++;
+                console.log(`Schema updated successfully`);
             } catch (error) {
                 console.error(`Error processing file ${file}: ${error.message}`);
                 console.log('Continuing with next file...');
-            } finally {
-                if (fs.existsSync(tempFile)) {
-                    fs.unlinkSync(tempFile);
-                }
             }
         }
 
         console.log('\nSchema generation complete!');
         console.log(`Processed ${totalLinesProcessed} total valid JSON lines`);
+        console.log(`Resolved ${totalConflicts} schema conflicts`);
         console.log(`Final schema saved to: ${SCHEMA_FILE}`);
 
-        console.log(`\nSuccessfully processed ${lastSuccessfulFile + 1} of ${files.length} file(s)`);
-        if (lastSuccessfulFile < files.length - 1) {
+        // Report drift against the schema we started from
+        const diff = diffSchemas(previousSchema, schema);
+        if (hasChanges(diff)) {
+            console.log('\nChanges from the previous schema:');
+            process.stdout.write(formatDiff(diff, 'text'));
+        } else {
+            console.log('\nNo changes from the previous schema');
+        }
+
+        console.log(`\nSuccessfully processed ${successfulFiles} of ${files.length} file(s)`);
+        if (successfulFiles < files.length) {
             console.log(`Some files were skipped due to errors. You may want to run the script again.`);
         }
 
     } catch (error) {
         console.error('Error:', error.message);
         process.exit(1);
-    } finally {
-        if (fs.existsSync(TEMP_DIR)) {
-            // Use a recursive directory removal that works on older Node.js versions
-            function deleteFolderRecursive(folderPath) {
-                if (fs.existsSync(folderPath)) {
-                    fs.readdirSync(folderPath).forEach((file) => {
-                        const curPath = path.join(folderPath, file);
-                        if (fs.lstatSync(curPath).isDirectory()) {
-                            deleteFolderRecursive(curPath);
-                        } else {
-                            fs.unlinkSync(curPath);
-                        }
-                    });
-                    fs.rmdirSync(folderPath);
-                }
-            }
-            
-            try {
-                deleteFolderRecursive(TEMP_DIR);
-            } catch (err) {
-                console.error(`Warning: Could not clean up temp directory: ${err.message}`);
-            }
-        }
     }
 }
 
-// Run the script
-main();
\ No newline at end of file
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseArgs,
+    writeProjectedSchema
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * Gzipped line writer that waits for the file to keep up
+ * @param {string} filePath - Output path
+ * @returns {{write: function(string): Promise, close: function(): Promise}}
+ */
+function createLineWriter(filePath) {
+    const gzip = zlib.createGzip();
+    const file = fs.createWriteStream(filePath);
+    gzip.pipe(file);
+    return {
+        async write(line) {
+            if (!gzip.write(line + '\n')) {
+                await once(gzip, 'drain');
+            }
+        },
+        async close() {
+            gzip.end();
+            await once(file, 'close');
+        }
+    };
+}
+
+module.exports = {
+    createLineWriter
+};
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { processJsonlFile, convertDatePartsToISOString, BUILTIN_STAGES } = require('./processor');
+const { loadPipelineConfig } = require('./pipeline');
+const { detectFormat, readRecords } = require('./readers');
+const { writeJsonAtomic } = require('./checkpoint');
+const { createLineWriter } = require('./line-writer');
+
+/**
+ * Incremental updates from saved Crossref REST API pages
+ *
+ * Reads cursor-paged /works responses (or any other supported input),
+ * keeps one record per DOI - the one with the latest `indexed` timestamp,
+ * later files winning ties - and processes those records like process-all.js
+ * does. Compared against the already processed table (--base), every DOI is
+ * classified as inserted, updated or unchanged (the table already has a
+ * version indexed later). With --full the pages are taken to be a complete
+ * harvest, so base DOIs missing from them are reported as deleted.
+ *
+ * Only a small index entry per DOI is kept in memory; records are re-read
+ * from the pages when the winners are written.
+ *
+ * Output (in --output, default data/updates):
+ *   updates.jsonl.gz            - raw winning records, one per DOI
+ *   updates_processed.jsonl.gz  - the same records transformed for BigQuery
+ *   updates_rejected.jsonl.gz   - records that failed to process, if any
+ *   changeset.jsonl.gz          - {DOI, change, indexed} per inserted/updated/deleted DOI
+ *   changeset.json              - counts and inputs of the run
+ *
+ * Usage:
+ *   node src/merge-updates.js PAGES... [--base=DIR] [--output=DIR] [--full] [--pipeline=FILE]
+ *
+ * PAGES are files or directories of files.
+ */
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'data', 'updates');
+
+// Finds the DOIs in a processed line without parsing it
+const DOI_PATTERN = /"DOI":"((?:[^"\\]|\\.)*)"/g;
+
+/**
+ * DOIs are case-insensitive
+ * @param {string} doi - DOI as found in a record
+ * @returns {string} Key to compare DOIs by
+ */
+function normalizeDoiKey(doi) {
+    return doi.trim().toLowerCase();
+}
+
+/**
+ * When a record was last indexed by Crossref
+ * Accepts raw records (indexed.timestamp, date-time or date-parts) and
+ * processed ones (indexed_timestamp or indexed_date_time, or only the
+ * indexed DATE string for files processed before those were kept).
+ * @param {Object} record - Crossref record
+ * @returns {number|null} Milliseconds since the epoch, or null if unknown
+ */
+function getIndexedTime(record) {
+    const indexed = record ? record.indexed : null;
+    if (!indexed) {
+        return null;
+    }
+    let time = NaN;
+    if (typeof indexed === 'string') {
+        if (typeof record.indexed_timestamp === 'number') {
+            time = record.indexed_timestamp;
+        } else if (typeof record.indexed_date_time === 'string') {
+            time = Date.parse(record.indexed_date_time);
+        } else {
+            time = Date.parse(indexed);
+        }
+    } else if (typeof indexed.timestamp === 'number') {
+        time = indexed.timestamp;
+    } else if (indexed['date-time']) {
+        time = Date.parse(indexed['date-time']);
+    } else if (indexed['date-parts']) {
+        const date = convertDatePartsToISOString(indexed['date-parts']);
+        time = date ? Date.parse(date) : NaN;
+    }
+    return isNaN(time) ? null : time;
+}
+
+// Reads the records of a file, counting positions the same way on every pass
+async function* readPositions(file) {
+    let position = 0;
+    for await (const text of readRecords(fs.createReadStream(file), file)) {
+        if (typeof text === 'string') {
+            position++;
+            yield { text, position };
+        }
+    }
+}
+
+// Parses a record and returns it with its DOI key, or null if it has no DOI
+function parseRecord(text) {
+    if (!text.trim()) {
+        return null;
+    }
+    try {
+        const record = JSON.parse(text);
+        if (record && typeof record.DOI === 'string' && record.DOI.trim()) {
+            return { record, key: normalizeDoiKey(record.DOI) };
+        }
+    } catch {
+        // Counted as invalid by the caller
+    }
+    return null;
+}
+
+/**
+ * Finds the latest version of each DOI in the update files
+ * @param {string[]} files - Update files, oldest first
+ * @returns {Promise<{latest: Map<string, Object>, records: number, duplicates: number, invalid: number}>}
+ *   latest maps DOI keys to {indexed, fileIndex, position} of the winning record
+ */
+async function collectLatestRecords(files) {
+    const latest = new Map();
+    let records = 0;
+    let duplicates = 0;
+    let invalid = 0;
+    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+        for await (const { text, position } of readPositions(files[fileIndex])) {
+            const parsed = parseRecord(text);
+            if (!parsed) {
+                invalid += text.trim() ? 1 : 0;
+                continue;
+            }
+            records++;
+            const indexed = getIndexedTime(parsed.record);
+            const current = latest.get(parsed.key);
+            if (current) {
+                duplicates++;
+                // Ties go to the later file or page
+                if ((indexed === null ? -Infinity : indexed) < (current.indexed === null ? -Infinity : current.indexed)) {
+                    continue;
+                }
+            }
+            latest.set(parsed.key, { indexed, fileIndex, position, baseIndexed: undefined });
+        }
+    }
+    return { latest, records, duplicates, invalid };
+}
+
+/**
+ * Looks up the updated DOIs in the processed table
+ * Sets baseIndexed (null if unknown) on the entries of DOIs found in it.
+ * @param {string[]} baseFiles - Processed output files
+ * @param {Map<string, Object>} latest - From collectLatestRecords
+ * @param {Object} [options]
+ * @param {Function} [options.onMissing] - Called once with each DOI of the base
+ *   missing from the updates, however often the base repeats it; every base
+ *   record is parsed when this is set
+ */
+async function findInBase(baseFiles, latest, options = {}) {
+    const { onMissing = null } = options;
+    // Missing DOIs already reported
+    const reported = new Set();
+    for (const file of baseFiles) {
+        for await (const { text } of readPositions(file)) {
+            if (!onMissing) {
+                // Skip the parse unless one of the DOIs in the line is an updated one
+                const dois = Array.from(text.matchAll(DOI_PATTERN), match => normalizeDoiKey(JSON.parse(`"${match[1]}"`)));
+                if (!dois.some(doi => latest.has(doi))) {
+                    continue;
+                }
+            }
+            const parsed = parseRecord(text);
+            if (!parsed) {
+                continue;
+            }
+            const entry = latest.get(parsed.key);
+            if (entry) {
+                entry.baseIndexed = getIndexedTime(parsed.record);
+            } else if (onMissing && !reported.has(parsed.key)) {
+                reported.add(parsed.key);
+                await onMissing(parsed.record.DOI);
+            }
+        }
+    }
+}
+
+/**
+ * Classifies a winning record against the processed table
+ * @param {Object} entry - Entry from collectLatestRecords, after findInBase
+ * @returns {string} 'inserted', 'updated' or 'unchanged'
+ */
+function classifyChange(entry) {
+    if (entry.baseIndexed === undefined) {
+        return 'inserted';
+    }
+    if (entry.indexed !== null && entry.baseIndexed !== null && entry.indexed <= entry.baseIndexed) {
+        return 'unchanged';
+    }
+    return 'updated';
+}
+
+/**
+ * Lists the input files in the given files and directories
+ * @param {string[]} inputs - Files or directories
+ * @returns {string[]} Supported input files, directories expanded in name order
+ */
+function listInputFiles(inputs) {
+    return inputs.flatMap((input) => {
+        if (!fs.statSync(input).isDirectory()) {
+            return [input];
+        }
+        return fs.readdirSync(input)
+            .filter(file => detectFormat(file) !== null)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(file => path.join(input, file));
+    });
+}
+
+/**
+ * Merges update pages into one deduplicated, processed file and a change set
+ * @param {string[]} updateFiles - Update files, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.outputDir=data/updates] - Where to write the results
+ * @param {string[]} [options.baseFiles=[]] - Processed files of the table being updated
+ * @param {boolean} [options.full=false] - The updates are a complete harvest: report base DOIs missing from them as deleted
+ * @param {Array} [options.stages] - Pipeline stages for processing the records
+ * @param {boolean} [options.quiet=false] - Suppress progress output
+ * @returns {Promise<Object>} The summary written to changeset.json
+ */
+async function mergeUpdates(updateFiles, options = {}) {
+    const { outputDir = DEFAULT_OUTPUT_DIR, baseFiles = [], full = false, quiet = false } = options;
+    const log = (message) => {
+        if (!quiet) {
+            console.log(message);
+        }
+    };
+    fs.mkdirSync(outputDir, { recursive: true });
+    const rawPath = path.join(outputDir, 'updates.jsonl.gz');
+    const processedPath = path.join(outputDir, 'updates_processed.jsonl.gz');
+    const changesetPath = path.join(outputDir, 'changeset.jsonl.gz');
+    const counts = { inserted: 0, updated: 0, unchanged: 0, deleted: 0 };
+
+    log(`Reading ${updateFiles.length} update file(s)...`);
+    const { latest, records, duplicates, invalid } = await collectLatestRecords(updateFiles);
+    log(`${records} records, ${latest.size} distinct DOIs (${duplicates} duplicates, ${invalid} without a DOI or unparseable)`);
+
+    const changes = createLineWriter(changesetPath);
+    try {
+        if (baseFiles.length > 0) {
+            log(`Looking up updated DOIs in ${baseFiles.length} base file(s)...`);
+            await findInBase(baseFiles, latest, {
+                onMissing: full
+                    ? (doi) => {
+                        counts.deleted++;
+                        return changes.write(JSON.stringify({ DOI: doi, change: 'deleted', indexed: null }));
+                    }
+                    : null
+            });
+        }
+
+        // Write the winning records in update order
+        const raw = createLineWriter(rawPath);
+        try {
+            for (let fileIndex = 0; fileIndex < updateFiles.length; fileIndex++) {
+                for await (const { text, position } of readPositions(updateFiles[fileIndex])) {
+                    const parsed = parseRecord(text);
+                    const entry = parsed ? latest.get(parsed.key) : null;
+                    if (!entry || entry.fileIndex !== fileIndex || entry.position !== position) {
+                        continue;
+                    }
+                    const change = classifyChange(entry);
+                    counts[change]++;
+                    if (change === 'unchanged') {
+                        continue;
+                    }
+                    await raw.write(text.includes('\n') ? JSON.stringify(parsed.record) : text.trim());
+                    await changes.write(JSON.stringify({
+                        DOI: parsed.record.DOI,
+                        change,
+                        indexed: entry.indexed !== null ? new Date(entry.indexed).toISOString() : null
+                    }));
+                }
+            }
+        } finally {
+            await raw.close();
+        }
+    } finally {
+        await changes.close();
+    }
+
+    log('Processing merged records...');
+    const result = await processJsonlFile(rawPath, processedPath, { stages: options.stages, quiet: true });
+    const summary = {
+        createdAt: new Date().toISOString(),
+        updateFiles: updateFiles.map(file => path.basename(file)),
+        baseFiles: baseFiles.map(file => path.basename(file)),
+        full,
+        records,
+        duplicates,
+        invalid,
+        distinctDois: latest.size,
+        changes: counts,
+        output: path.basename(processedPath),
+        outputRecords: result.processedCount,
+        rejected: result.rejectedPath ? path.basename(result.rejectedPath) : null,
+        rejectedRecords: result.rejectedCount,
+        changeset: path.basename(changesetPath)
+    };
+    writeJsonAtomic(path.join(outputDir, 'changeset.json'), summary);
+    log(`Inserted ${counts.inserted}, updated ${counts.updated}, unchanged ${counts.unchanged}, deleted ${counts.deleted}`);
+    return summary;
+}
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = { base: null, output: DEFAULT_OUTPUT_DIR, full: false, pipeline: null, inputs: [] };
+    for (const arg of argv) {
+        if (arg.startsWith('--base=')) {
+            options.base = arg.slice('--base='.length);
+        } else if (arg.startsWith('--output=')) {
+            options.output = arg.slice('--output='.length);
+        } else if (arg.startsWith('--pipeline=')) {
+            options.pipeline = arg.slice('--pipeline='.length);
+        } else if (arg === '--full') {
+            options.full = true;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    return options;
+}
+
+// Main process
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    try {
+        if (options.inputs.length === 0) {
+            console.error('Usage: node src/merge-updates.js PAGES... [--base=DIR] [--output=DIR] [--full] [--pipeline=FILE]');
+            process.exit(1);
+        }
+        if (options.full && !options.base) {
+            throw new Error('--full needs --base to find deleted DOIs');
+        }
+
+        const updateFiles = listInputFiles(options.inputs);
+        if (updateFiles.length === 0) {
+            throw new Error('No update files found');
+        }
+        const baseFiles = options.base
+            ? fs.readdirSync(options.base)
+                .filter(file => file.endsWith('_processed.jsonl.gz'))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map(file => path.join(options.base, file))
+            : [];
+        const stages = options.pipeline ? loadPipelineConfig(path.resolve(options.pipeline), BUILTIN_STAGES) : undefined;
+
+        const summary = await mergeUpdates(updateFiles, { outputDir: options.output, baseFiles, full: options.full, stages });
+        console.log(`Results saved to: ${options.output}`);
+        if (summary.rejectedRecords > 0) {
+            console.log(`${summary.rejectedRecords} records failed to process, see ${summary.rejected}`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    mergeUpdates,
+    collectLatestRecords,
+    findInBase,
+    classifyChange,
+    getIndexedTime,
+    normalizeDoiKey
+};
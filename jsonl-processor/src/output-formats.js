@@ -0,0 +1,280 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+const { loadSchema, isValidDate } = require('./schema-validator');
+
+/**
+ * Typed output formats for processJsonlFile
+ *
+ * Besides gzipped NDJSON, processed records can be written as Parquet or
+ * Avro files typed from a BigQuery schema (schema.json): DATE, TIMESTAMP,
+ * INTEGER, FLOAT and BOOLEAN columns get their real types instead of relying
+ * on BigQuery to coerce strings, and RECORD/REPEATED fields keep their
+ * nesting. Each record is converted to the schema first - fields the schema
+ * doesn't have are left out (use validation to find them), and a value that
+ * can't be converted rejects the record.
+ */
+
+const OUTPUT_FORMATS = ['ndjson', 'parquet', 'avro'];
+
+// File extension for each output format
+const OUTPUT_EXTENSIONS = {
+    ndjson: '.jsonl.gz',
+    parquet: '.parquet',
+    avro: '.avro'
+};
+
+// Rows per Parquet row group
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+
+/**
+ * Converts a scalar to the value written for a BigQuery type
+ * DATEs become days since the epoch and TIMESTAMPs milliseconds since the epoch.
+ * @param {*} value - The value
+ * @param {string} type - BigQuery type
+ * @param {string} fieldPath - Dotted path for error messages
+ * @returns {string|number|boolean}
+ */
+function convertScalar(value, type, fieldPath) {
+    const fail = () => {
+        throw new Error(`${fieldPath}: cannot write ${JSON.stringify(value)} as ${type}`);
+    };
+    switch (type) {
+        case 'INTEGER':
+        case 'INT64':
+            if (typeof value === 'number' && Number.isSafeInteger(value)) {
+                return value;
+            }
+            if (typeof value === 'string' && INTEGER_PATTERN.test(value) && Number.isSafeInteger(Number(value))) {
+                return Number(value);
+            }
+            return fail();
+        case 'FLOAT':
+        case 'FLOAT64':
+        case 'NUMERIC':
+        case 'BIGNUMERIC': {
+            const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) ? number : fail();
+        }
+        case 'BOOLEAN':
+        case 'BOOL':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            return value === 'true' || value === 'false' ? value === 'true' : fail();
+        case 'DATE':
+            return typeof value === 'string' && isValidDate(value) ? Date.parse(value) / MILLIS_PER_DAY : fail();
+        case 'TIMESTAMP':
+        case 'DATETIME': {
+            const time = typeof value === 'number' ? value : Date.parse(value);
+            return Number.isFinite(time) ? Math.round(time) : fail();
+        }
+        default:
+            // STRING and types written as text (JSON, GEOGRAPHY, ...)
+            if (typeof value === 'string') {
+                return value;
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Converts an object to a row with exactly the schema's fields
+ * Missing NULLABLE fields become null and missing REPEATED fields [].
+ * @param {Object} obj - Processed record (or nested RECORD value)
+ * @param {Map<string, Object>} fields - Compiled fields from loadSchema
+ * @param {string} [parentPath=''] - Dotted path of the object
+ * @returns {Object}
+ */
+function convertRecord(obj, fields, parentPath = '') {
+    if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) {
+        throw new Error(`${parentPath || 'record'}: expected an object`);
+    }
+    // Field names are case-insensitive
+    const values = new Map();
+    for (const key of Object.keys(obj)) {
+        values.set(key.toLowerCase(), obj[key]);
+    }
+
+    const row = {};
+    for (const [key, field] of fields) {
+        const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+        const value = values.get(key);
+        const convert = (item, itemPath) => (field.type === 'RECORD'
+            ? convertRecord(item, field.children, itemPath)
+            : convertScalar(item, field.type, itemPath));
+
+        if (field.mode === 'REPEATED') {
+            const items = value === null || value === undefined ? [] : [].concat(value);
+            row[field.name] = items
+                .filter(item => item !== null && item !== undefined)
+                .map((item, i) => convert(item, `${fieldPath}[${i}]`));
+        } else if (value === null || value === undefined) {
+            if (field.mode === 'REQUIRED') {
+                throw new Error(`${fieldPath}: REQUIRED field is missing`);
+            }
+            row[field.name] = null;
+        } else {
+            row[field.name] = convert(value, fieldPath);
+        }
+    }
+    return row;
+}
+
+// Parquet primitive type for each BigQuery type
+const PARQUET_TYPES = {
+    INTEGER: 'INT64',
+    INT64: 'INT64',
+    FLOAT: 'DOUBLE',
+    FLOAT64: 'DOUBLE',
+    NUMERIC: 'DOUBLE',
+    BIGNUMERIC: 'DOUBLE',
+    BOOLEAN: 'BOOLEAN',
+    BOOL: 'BOOLEAN',
+    DATE: 'DATE',
+    TIMESTAMP: 'TIMESTAMP_MILLIS',
+    DATETIME: 'TIMESTAMP_MILLIS'
+};
+
+/**
+ * Builds a parquetjs schema definition from compiled BigQuery fields
+ * @param {Map<string, Object>} fields - Compiled fields from loadSchema
+ * @returns {Object} Field definitions for ParquetSchema
+ */
+function toParquetSchema(fields) {
+    const definition = {};
+    for (const field of fields.values()) {
+        const column = field.type === 'RECORD'
+            ? { fields: toParquetSchema(field.children) }
+            : { type: PARQUET_TYPES[field.type] || 'UTF8', compression: 'SNAPPY' };
+        if (field.mode === 'REPEATED') {
+            column.repeated = true;
+        } else if (field.mode !== 'REQUIRED') {
+            column.optional = true;
+        }
+        definition[field.name] = column;
+    }
+    return definition;
+}
+
+// Avro type for each BigQuery type
+const AVRO_TYPES = {
+    INTEGER: 'long',
+    INT64: 'long',
+    FLOAT: 'double',
+    FLOAT64: 'double',
+    NUMERIC: 'double',
+    BIGNUMERIC: 'double',
+    BOOLEAN: 'boolean',
+    BOOL: 'boolean',
+    DATE: { type: 'int', logicalType: 'date' },
+    TIMESTAMP: { type: 'long', logicalType: 'timestamp-millis' },
+    DATETIME: { type: 'long', logicalType: 'timestamp-millis' }
+};
+
+/**
+ * Builds an Avro record schema from compiled BigQuery fields
+ * Nested records are named after their path, as Avro names must be unique.
+ * @param {Map<string, Object>} fields - Compiled fields from loadSchema
+ * @param {string} [name='crossref_work'] - Name of the record type
+ * @param {Set<string>} [usedNames=new Set()] - Record names taken so far
+ * @returns {Object} Avro schema
+ */
+function toAvroSchema(fields, name = 'crossref_work', usedNames = new Set()) {
+    usedNames.add(name);
+    const avroFields = [];
+    for (const field of fields.values()) {
+        let type;
+        if (field.type === 'RECORD') {
+            let recordName = `${name}_${field.name}`;
+            for (let i = 2; usedNames.has(recordName); i++) {
+                recordName = `${name}_${field.name}_${i}`;
+            }
+            type = toAvroSchema(field.children, recordName, usedNames);
+        } else {
+            type = AVRO_TYPES[field.type] || 'string';
+        }
+
+        if (field.mode === 'REPEATED') {
+            avroFields.push({ name: field.name, type: { type: 'array', items: type }, default: [] });
+        } else if (field.mode === 'REQUIRED') {
+            avroFields.push({ name: field.name, type });
+        } else {
+            avroFields.push({ name: field.name, type: ['null', type], default: null });
+        }
+    }
+    return { type: 'record', name, fields: avroFields };
+}
+
+/**
+ * Opens a Parquet file for writing
+ * @param {string} filePath - Output path
+ * @param {Map<string, Object>} fields - Compiled fields
+ * @returns {Promise<{append: function(Object): Promise, close: function(): Promise}>}
+ */
+async function openParquetFile(filePath, fields) {
+    const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+    const writer = await ParquetWriter.openFile(new ParquetSchema(toParquetSchema(fields)), filePath);
+    writer.setRowGroupSize(PARQUET_ROW_GROUP_SIZE);
+    return {
+        append: row => writer.appendRow(row),
+        close: () => writer.close()
+    };
+}
+
+/**
+ * Opens an Avro object container file (deflate compressed) for writing
+ * @param {string} filePath - Output path
+ * @param {Map<string, Object>} fields - Compiled fields
+ * @returns {Promise<{append: function(Object): Promise, close: function(): Promise}>}
+ */
+async function openAvroFile(filePath, fields) {
+    const avro = require('avsc');
+    // Passing the schema itself (not a parsed Type) keeps its logical types in the file header
+    const encoder = new avro.streams.BlockEncoder(toAvroSchema(fields), { codec: 'deflate', codecs: { deflate: zlib.deflateRaw } });
+    const file = fs.createWriteStream(filePath);
+    encoder.pipe(file);
+    return {
+        async append(row) {
+            if (!encoder.write(row)) {
+                await once(encoder, 'drain');
+            }
+        },
+        async close() {
+            encoder.end();
+            await once(file, 'close');
+        }
+    };
+}
+
+/**
+ * Creates the record writer for a typed output format
+ * @param {string} format - 'parquet' or 'avro'
+ * @param {string|Array<Object>} schema - Path to schema.json or the parsed schema
+ * @returns {{convert: function(Object): Object, open: function(string): Promise<Object>}}
+ *   convert turns a processed record into a row (throws if it doesn't fit the schema);
+ *   open starts a file that rows can be appended to
+ */
+function createRecordWriter(format, schema) {
+    const fields = loadSchema(schema);
+    const open = { parquet: openParquetFile, avro: openAvroFile }[format];
+    if (!open) {
+        throw new Error(`No record writer for output format: ${format}`);
+    }
+    return {
+        convert: record => convertRecord(record, fields),
+        open: filePath => open(filePath, fields)
+    };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    OUTPUT_EXTENSIONS,
+    convertRecord,
+    toParquetSchema,
+    toAvroSchema,
+    createRecordWriter
+};
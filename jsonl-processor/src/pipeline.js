@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Record transformation pipeline
+ *
+ * A pipeline is an ordered list of stages. Each stage is a function
+ * `(record, options) => record` that either mutates the record in place
+ * (returning undefined) or returns a replacement record.
+ *
+ * Stages can be specified as:
+ * - a string: the name of a built-in stage, or a path to a JS module
+ * - a function: used directly, named after the function
+ * - an object: { name, module, transform, options, enabled }
+ *     name      - built-in stage name, or a label for custom stages
+ *     module    - path to a JS module exporting the transform function
+ *                 (or an object with a `transform` function)
+ *     transform - the transform function itself (JS configs only)
+ *     options   - passed as the second argument to the transform
+ *     enabled   - set to false to skip the stage
+ */
+
+/**
+ * Loads a transform function from a JS module
+ * @param {string} modulePath - Path to the module
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Function} The transform function
+ */
+function loadStageModule(modulePath, baseDir) {
+    const resolvedPath = path.resolve(baseDir, modulePath);
+    const exported = require(resolvedPath);
+    const transform = typeof exported === 'function' ? exported : exported && exported.transform;
+
+    if (typeof transform !== 'function') {
+        throw new Error(`Stage module ${resolvedPath} must export a function or { transform }`);
+    }
+    return transform;
+}
+
+/**
+ * Checks whether a stage string refers to a module rather than a built-in
+ * @param {string} spec - The stage string
+ * @returns {boolean}
+ */
+function isModulePath(spec) {
+    return spec.endsWith('.js') || spec.includes('/') || spec.includes(path.sep);
+}
+
+/**
+ * Resolves stage specifications into runnable stages
+ * @param {Array<string|Function|Object>} stageSpecs - The stage specifications
+ * @param {Object<string, Function>} builtins - Built-in stages by name
+ * @param {string} [baseDir=process.cwd()] - Directory module paths are resolved against
+ * @returns {Array<{name: string, transform: Function, options: Object}>}
+ */
+function resolveStages(stageSpecs, builtins, baseDir = process.cwd()) {
+    if (!Array.isArray(stageSpecs)) {
+        throw new Error('Pipeline stages must be an array');
+    }
+
+    const stages = [];
+    for (const spec of stageSpecs) {
+        // Normalize shorthand forms into the object form
+        let stage;
+        if (typeof spec === 'string') {
+            stage = isModulePath(spec) ? { name: path.basename(spec, '.js'), module: spec } : { name: spec };
+        } else if (typeof spec === 'function') {
+            stage = { name: spec.name || 'anonymous', transform: spec };
+        } else if (spec !== null && typeof spec === 'object') {
+            stage = spec;
+        } else {
+            throw new Error(`Invalid pipeline stage: ${JSON.stringify(spec)}`);
+        }
+
+        if (stage.enabled === false) {
+            continue;
+        }
+
+        let transform = stage.transform;
+        if (!transform && stage.module) {
+            transform = loadStageModule(stage.module, baseDir);
+        } else if (!transform) {
+            transform = builtins[stage.name];
+            if (!transform) {
+                throw new Error(`Unknown pipeline stage: ${stage.name} (available: ${Object.keys(builtins).join(', ')})`);
+            }
+        }
+
+        stages.push({
+            name: stage.name || transform.name || 'anonymous',
+            transform,
+            options: stage.options || {}
+        });
+    }
+
+    return stages;
+}
+
+/**
+ * Loads a pipeline configuration file
+ * JSON files must contain { "stages": [...] } or a bare array of stages.
+ * JS modules may export the same, with transform functions inline.
+ * Module paths inside the config are resolved relative to the config file.
+ * @param {string} configPath - Path to a .json or .js config file
+ * @param {Object<string, Function>} builtins - Built-in stages by name
+ * @returns {Array<{name: string, transform: Function, options: Object}>}
+ */
+function loadPipelineConfig(configPath, builtins) {
+    const resolvedPath = path.resolve(configPath);
+    const config = resolvedPath.endsWith('.js')
+        ? require(resolvedPath)
+        : JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+    const stageSpecs = Array.isArray(config) ? config : config && config.stages;
+    if (!Array.isArray(stageSpecs)) {
+        throw new Error(`Pipeline config ${resolvedPath} must define a "stages" array`);
+    }
+
+    return resolveStages(stageSpecs, builtins, path.dirname(resolvedPath));
+}
+
+/**
+ * Runs a record through each stage in order
+ * @param {Object} record - The record to transform
+ * @param {Array<{name: string, transform: Function, options: Object}>} stages - Resolved stages
+ * @returns {Object} The transformed record
+ * @throws The stage's error, with `err.stage` set to the failing stage name
+ */
+function runStages(record, stages) {
+    let current = record;
+    for (const stage of stages) {
+        let result;
+        try {
+            result = stage.transform(current, stage.options);
+        } catch (err) {
+            // Record which stage failed for error reporting
+            if (err && typeof err === 'object' && err.stage === undefined) {
+                err.stage = stage.name;
+            }
+            throw err;
+        }
+        // Stages that mutate in place return undefined
+        if (result !== undefined) {
+            current = result;
+        }
+    }
+    return current;
+}
+
+module.exports = {
+    resolveStages,
+    loadPipelineConfig,
+    runStages
+};
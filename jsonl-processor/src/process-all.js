@@ -1,37 +1,76 @@
 const fs = require('fs');
 const path = require('path');
-const { processJsonlFile } = require('./processor');
-const os = require('os');
+const { processJsonlFile, getRejectedPath, getCitationsPath, getOptionsFingerprint, BUILTIN_STAGES, DEFAULT_STAGES } = require('./processor');
+const { loadPipelineConfig } = require('./pipeline');
+const { loadProjection } = require('./projection');
+const { WorkerPool } = require('./worker-pool');
+const { getCheckpointPath, loadCompletedManifest, recordCompletedFile, isFileCompleted } = require('./checkpoint');
+const { RunManifest, loadRunManifestEntries } = require('./run-manifest');
+const { USAGE, resolveOptions, selectFiles } = require('./cli-options');
+const { detectFormat, getInputBaseName } = require('./readers');
+const { OUTPUT_EXTENSIONS } = require('./output-formats');
 const zlib = require('zlib');
 
+// Options from the command line, a config file or the environment (see cli-options.js)
+let options;
+try {
+    options = resolveOptions(process.argv.slice(2), process.env);
+} catch (err) {
+    console.error(`Error: ${err.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+}
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
 // Configuration
-const INPUT_DIR = path.join(__dirname, '..', 'data', 'raw');
-const OUTPUT_DIR = path.join(__dirname, '..', 'data', 'processed');
-const LOG_DIR = path.join(__dirname, '..', 'logs');
-const CONCURRENT_JOBS = Math.max(1, os.cpus().length - 1); // Use N-1 cores
-const DEBUG_MODE = process.env.DEBUG === 'true';
-const RESUME_MODE = process.env.RESUME !== 'false'; // Default to true
-const SPECIFIC_FILE = process.env.FILE || null; // Process a specific file if specified
-const QUIET_MODE = process.env.QUIET === 'true'; // Set to true to suppress progress display
-const SHOW_PROGRESS = !QUIET_MODE && process.stdout.isTTY; // Only show progress in interactive terminal
+const INPUT_DIR = options.input;
+const OUTPUT_DIR = options.output;
+const LOG_DIR = options.logs;
+const CONCURRENT_JOBS = options.jobs; // Worker threads, each processing one file at a time
+const DEBUG_MODE = options.debug;
+const RESUME_MODE = options.resume; // Default to true
+const FILE_SELECTORS = options.files; // Globs, number ranges or file names (empty processes all files)
+const DRY_RUN = options.dryRun; // Only list the files that would be processed
+const QUIET_MODE = options.quiet; // Set to true to suppress progress display
+const PIPELINE_CONFIG = options.pipeline; // Optional .json/.js pipeline stage config
+const VALIDATE_MODE = options.validate; // 'report' or 'quarantine' to check records against schema.json
+const OUTPUT_FORMAT = options.outputFormat; // 'ndjson', or 'parquet'/'avro' typed from schema.json
+const CITATIONS = options.citations; // Also write a citation edge list per file
+const PROJECTION = options.projection; // Optional file of fields to include/exclude
+const FILTERS = options.filters; // Filter expressions records must match to be written
+const SCHEMA_FILE = path.join(__dirname, '..', 'schema.json');
+const MANIFEST_FILE = path.join(OUTPUT_DIR, 'completed.json'); // Completed files with record counts and checksums
+const RUN_MANIFEST_FILE = path.join(OUTPUT_DIR, 'manifest.json'); // Run manifest of the latest run
+const SHOW_PROGRESS = !QUIET_MODE && !DRY_RUN && process.stdout.isTTY; // Only show progress in interactive terminal
 
-// Ensure directories exist
-[OUTPUT_DIR, LOG_DIR].forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-});
+// Ensure directories exist - a dry run doesn't write anything
+if (!DRY_RUN) {
+    [OUTPUT_DIR, LOG_DIR].forEach(dir => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    });
+}
 
 // Setup logging
 const logFile = path.join(LOG_DIR, `process_${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
-const logStream = fs.createWriteStream(logFile, { flags: 'a' });
+const logStream = DRY_RUN ? null : fs.createWriteStream(logFile, { flags: 'a' });
+
+// Run manifest, kept next to the log and as data/processed/manifest.json (created once there is work to do)
+let runManifest = null;
+
+// Files skipped on resume because an earlier run completed them, with their completed.json entries
+let skippedFiles = [];
 
 function log(message, level = 'INFO', consoleOnly = false) {
     const timestamp = new Date().toISOString();
     const formattedMessage = `[${timestamp}] [${level}] ${message}`;
     
     // Always write to log file
-    if (!consoleOnly) {
+    if (!consoleOnly && logStream) {
         logStream.write(formattedMessage + '\n');
     }
     
@@ -47,7 +86,7 @@ function log(message, level = 'INFO', consoleOnly = false) {
 
 function logError(message, error) {
     log(`${message}: ${error.message}`, 'ERROR');
-    if (error.stack) {
+    if (error.stack && logStream) {
         logStream.write(`${error.stack}\n`);
     }
 }
@@ -165,8 +204,32 @@ class ProgressBar {
     }
 }
 
-// Function to validate gzip file
-function validateGzipFile(filePath) {
+// Magic bytes at the start (and for Parquet also the end) of typed output files
+const OUTPUT_MAGIC = {
+    parquet: Buffer.from('PAR1'),
+    avro: Buffer.from('Obj\x01', 'latin1')
+};
+
+// Function to validate a Parquet or Avro file
+function validateTypedFile(filePath, format) {
+    const magic = OUTPUT_MAGIC[format];
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        const head = Buffer.alloc(magic.length);
+        const tail = Buffer.alloc(magic.length);
+        fs.readSync(fd, head, 0, magic.length, 0);
+        fs.readSync(fd, tail, 0, magic.length, Math.max(0, size - magic.length));
+        if (!head.equals(magic) || (format === 'parquet' && !tail.equals(magic))) {
+            throw new Error(`Invalid ${format} file`);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Function to validate gzip file; allowEmpty accepts one without data (e.g. when no record matched the filters)
+function validateGzipFile(filePath, allowEmpty = false) {
     return new Promise((resolve, reject) => {
         const stream = fs.createReadStream(filePath);
         const gunzip = zlib.createGunzip();
@@ -192,7 +255,7 @@ function validateGzipFile(filePath) {
                 }
             })
             .on('end', () => {
-                if (!dataReceived) {
+                if (!dataReceived && !allowEmpty) {
                     reject(new Error('Empty gzip file'));
                 } else {
                     resolve(true);
@@ -204,44 +267,86 @@ function validateGzipFile(filePath) {
     });
 }
 
+// Output path for an input file, e.g. 001.jsonl.gz -> 001_processed.jsonl.gz, 2024.tar -> 2024_processed.parquet
+function getOutputPath(file) {
+    return path.join(OUTPUT_DIR, `${getInputBaseName(file)}_processed${OUTPUT_EXTENSIONS[OUTPUT_FORMAT]}`);
+}
+
+// Refuses input files that would write the same output, e.g. 7.jsonl.gz and 7.json.gz
+function checkOutputCollisions(files) {
+    const inputsByOutput = new Map();
+    for (const file of files) {
+        const outputPath = getOutputPath(file);
+        inputsByOutput.set(outputPath, [...(inputsByOutput.get(outputPath) || []), file]);
+    }
+    const collisions = [...inputsByOutput.entries()].filter(([, inputs]) => inputs.length > 1);
+    if (collisions.length > 0) {
+        const details = collisions.map(([outputPath, inputs]) => `${inputs.join(', ')} -> ${path.basename(outputPath)}`).join('; ');
+        throw new Error(`Input files would overwrite each other's output: ${details}. Rename or move all but one of them.`);
+    }
+}
+
+// Whether a completed file's citations were written and are still there
+function hasCitations(manifest, file) {
+    const citations = manifest.files[file].citations;
+    return Boolean(citations) && fs.existsSync(path.join(OUTPUT_DIR, citations));
+}
+
 // Get list of files to process
 function getFilesToProcess() {
-    // If a specific file is requested, only process that one
-    if (SPECIFIC_FILE) {
-        const file = path.basename(SPECIFIC_FILE);
-        if (fs.existsSync(path.join(INPUT_DIR, file))) {
-            log(`Processing specific file: ${file}`);
-            return [file];
-        } else {
-            log(`Specified file not found: ${file}`, 'ERROR');
-            return [];
-        }
+    if (!fs.existsSync(INPUT_DIR)) {
+        log(`Input directory not found: ${INPUT_DIR}`, 'ERROR');
+        return [];
     }
 
-    // Get all files and sort them numerically
-    const allFiles = fs.readdirSync(INPUT_DIR)
-        .filter(file => file.endsWith('.jsonl.gz'))
+    // Get all input files (JSONL, JSON with items or tar archives) and sort them numerically
+    const inputFiles = fs.readdirSync(INPUT_DIR)
+        .filter(file => detectFormat(file) !== null)
         .sort((a, b) => {
             const numA = parseInt(a.split('.')[0]);
             const numB = parseInt(b.split('.')[0]);
+            if (isNaN(numA) || isNaN(numB)) {
+                return a.localeCompare(b);
+            }
             return numA - numB;
         });
+    checkOutputCollisions(inputFiles);
 
-    // In resume mode, skip files that are already processed successfully
+    // Narrow down to the requested files, if any
+    const { files: allFiles, explicit, unmatched } = selectFiles(inputFiles, FILE_SELECTORS);
+    for (const selector of unmatched) {
+        log(`No input files match: ${selector}`, 'ERROR');
+    }
+    if (FILE_SELECTORS.length > 0) {
+        log(`Selected ${allFiles.length} of ${inputFiles.length} files (${FILE_SELECTORS.join(', ')})`);
+    }
+
+    // In resume mode, skip files the manifest lists as completed with their output intact
+    // (and their citations, when those are wanted) under the same options.
+    // Files requested by exact name are always processed.
     if (RESUME_MODE) {
-        const processedFiles = new Set();
-        
-        // Collect names of successfully processed files
-        fs.readdirSync(OUTPUT_DIR)
-            .filter(file => file.endsWith('_processed.jsonl.gz'))
-            .forEach(file => {
-                const baseNum = file.split('_')[0];
-                const originalFile = `${baseNum}.jsonl.gz`;
-                processedFiles.add(originalFile);
-            });
-        
-        const filesToProcess = allFiles.filter(file => !processedFiles.has(file));
-        log(`Found ${allFiles.length} total files, ${filesToProcess.length} remaining to process`);
+        const manifest = loadCompletedManifest(MANIFEST_FILE);
+        const fingerprint = getOptionsFingerprint({
+            stages: pipelineStages || undefined,
+            filters: FILTERS,
+            projection: PROJECTION || undefined,
+            outputFormat: OUTPUT_FORMAT,
+            validate: VALIDATE_MODE
+        });
+        const isIntact = file => isFileCompleted(manifest, file, OUTPUT_DIR) && (!CITATIONS || hasCitations(manifest, file));
+        const otherOptions = allFiles.filter(file => isIntact(file) && manifest.files[file].optionsFingerprint !== fingerprint);
+        if (otherOptions.length > 0) {
+            log(`${otherOptions.length} completed files were processed with other options (stages, filters, projection, ` +
+                'output format or validation) and will be processed again', 'WARN');
+        }
+        const isComplete = file => isIntact(file) && manifest.files[file].optionsFingerprint === fingerprint;
+        const filesToProcess = allFiles.filter(file => explicit.has(file) || !isComplete(file));
+        const toProcess = new Set(filesToProcess);
+        skippedFiles = allFiles.filter(file => !toProcess.has(file)).map(file => ({ file, completed: manifest.files[file] }));
+        const partialFiles = filesToProcess.filter(file => fs.existsSync(getCheckpointPath(getOutputPath(file))));
+        
+        log(`Found ${allFiles.length} total files, ${filesToProcess.length} remaining to process` +
+            (partialFiles.length > 0 ? ` (${partialFiles.length} resuming from a checkpoint)` : ''));
         return filesToProcess;
     } else {
         log(`Found ${allFiles.length} files to process`);
@@ -249,13 +354,35 @@ function getFilesToProcess() {
     }
 }
 
+// Pipeline stages loaded from PIPELINE_CONFIG (null uses the processor defaults)
+let pipelineStages = null;
+
+// Worker threads for concurrent processing (null processes files in this thread)
+let workerPool = null;
+
+// Run the processor on a worker thread when the pool is up, otherwise in-process
+function runProcessor(inputPath, outputPath, options, onProgress) {
+    if (workerPool) {
+        return workerPool.run({ inputPath, outputPath, options }, message => onProgress(message.processedCount));
+    }
+    return processJsonlFile(inputPath, outputPath, { ...options, stages: pipelineStages, onProgress });
+}
+
 // Handle process termination
 let isShuttingDown = false;
 const cleanup = () => {
     if (!isShuttingDown) {
         isShuttingDown = true;
-        log('\nShutting down gracefully...', 'WARN');
-        logStream.end();
+        log('\nShutting down gracefully... (unfinished files resume from their last checkpoint)', 'WARN');
+        if (runManifest) {
+            runManifest.finish(true);
+        }
+        if (workerPool) {
+            workerPool.destroy();
+        }
+        if (logStream) {
+            logStream.end();
+        }
         setTimeout(() => process.exit(0), 1000); // Give time for log to flush
     }
 };
@@ -266,42 +393,120 @@ process.on('SIGTERM', cleanup);
 // Process a single file
 async function processFile(file, progressBar = null) {
     const inputPath = path.join(INPUT_DIR, file);
-    const outputPath = path.join(OUTPUT_DIR, `${file.split('.')[0]}_processed.jsonl.gz`);
+    const outputPath = getOutputPath(file);
     
     // Log to file only, not to console when using progress bar
     log(`Starting processing: ${file}`);
+    const startTime = Date.now();
     
     try {
         // Process the file with debug mode if enabled - always use quiet mode with progress bar
-        const startTime = Date.now();
-        const { processedCount, errorCount } = await processJsonlFile(inputPath, outputPath, { 
+        
+        // Report records to the progress bar as they are processed
+        let reportedRecords = 0;
+        const onProgress = (count) => {
+            if (progressBar) {
+                progressBar.update(progressBar.current, { records: count - reportedRecords });
+            }
+            reportedRecords = count;
+        };
+        
+        const result = await runProcessor(inputPath, outputPath, { 
             debugMode: DEBUG_MODE,
-            quiet: true // Always suppress processor output
-        });
+            quiet: true, // Always suppress processor output
+            validate: VALIDATE_MODE,
+            schema: SCHEMA_FILE,
+            resume: RESUME_MODE,
+            outputFormat: OUTPUT_FORMAT,
+            citationsPath: CITATIONS ? getCitationsPath(outputPath) : false,
+            projection: PROJECTION || undefined,
+            filters: FILTERS
+        }, onProgress);
+        const {
+            processedCount, errorCount, rejectedPath, invalidCount, violationSummary,
+            outputBytes, outputSha256, resumedFromLine, citationsPath, citationsCount, yearForms, filteredCount
+        } = result;
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         
         // Update progress bar if available
         if (progressBar) {
             progressBar.update(progressBar.current, { 
-                records: processedCount, 
+                records: processedCount - reportedRecords, 
                 errors: errorCount 
             });
         }
         
+        if (resumedFromLine > 0) {
+            log(`Resumed ${file} after line ${resumedFromLine}`);
+        }
+        if (result.discardedCheckpoint) {
+            log(`Processed ${file} from the start: its checkpoint was written with other options or its partial output is gone`, 'WARN');
+        }
         log(`Processed ${processedCount} records with ${errorCount} errors in ${duration}s`);
+        if (FILTERS.length > 0) {
+            log(`Skipped ${filteredCount} records not matching the filters`);
+        }
+        if (invalidCount > 0) {
+            const details = Object.entries(violationSummary)
+                .sort((a, b) => b[1] - a[1])
+                .map(([violation, count]) => `${violation} (${count})`)
+                .join(', ');
+            log(`${invalidCount} records failed schema validation (${VALIDATE_MODE}): ${details}`, 'WARN');
+        }
+        if (rejectedPath) {
+            log(`Rejected lines written to: ${rejectedPath}`, 'WARN');
+        }
+        if (citationsPath) {
+            log(`${citationsCount} citations written to: ${citationsPath}`);
+        }
+        if (Object.keys(yearForms).length > 0) {
+            const forms = Object.entries(yearForms)
+                .sort((a, b) => b[1] - a[1])
+                .map(([form, count]) => `${count} ${form}`)
+                .join(', ');
+            log(`Year values: ${forms}`);
+        }
         
         // Validate the output file
         log(`Validating output file: ${outputPath}`);
-        await validateGzipFile(outputPath);
+        if (OUTPUT_FORMAT === 'ndjson') {
+            await validateGzipFile(outputPath, processedCount === 0);
+        } else {
+            validateTypedFile(outputPath, OUTPUT_FORMAT);
+        }
         
+        recordCompletedFile(MANIFEST_FILE, file, {
+            output: path.basename(outputPath),
+            rejected: rejectedPath ? path.basename(rejectedPath) : null,
+            citations: citationsPath ? path.basename(citationsPath) : null,
+            records: processedCount,
+            filtered: filteredCount,
+            errors: errorCount,
+            invalid: invalidCount,
+            outputBytes,
+            outputSha256,
+            optionsFingerprint: result.optionsFingerprint
+        });
+        if (runManifest) {
+            runManifest.addFile(file, (Date.now() - startTime) / 1000, { ...result, outputPath });
+        }
         log(`Successfully completed processing: ${file}`);
         return { success: true, records: processedCount, errors: errorCount };
     } catch (err) {
         logError(`Error processing ${file}`, err);
+        if (runManifest) {
+            runManifest.addFile(file, (Date.now() - startTime) / 1000, null, err);
+        }
         
-        if (fs.existsSync(outputPath)) {
-            log(`Removing invalid output file: ${outputPath}`, 'WARN');
-            fs.unlinkSync(outputPath);
+        const outputPaths = [outputPath, getRejectedPath(outputPath), ...(CITATIONS ? [getCitationsPath(outputPath)] : [])];
+        for (const invalidPath of outputPaths) {
+            if (fs.existsSync(invalidPath)) {
+                log(`Removing invalid output file: ${invalidPath}`, 'WARN');
+                fs.unlinkSync(invalidPath);
+            }
+        }
+        if (fs.existsSync(getCheckpointPath(outputPath))) {
+            log(`Keeping checkpoint for ${file}; it will resume from there on the next run`, 'WARN');
         }
         return { success: false, records: 0, errors: 0 };
     }
@@ -316,6 +521,29 @@ async function processFiles() {
         return;
     }
     
+    runManifest = new RunManifest([logFile.replace(/\.log$/, '.manifest.json'), RUN_MANIFEST_FILE], {
+        inputDir: INPUT_DIR,
+        outputDir: OUTPUT_DIR,
+        logDir: LOG_DIR,
+        files: FILE_SELECTORS,
+        debug: DEBUG_MODE,
+        resume: RESUME_MODE,
+        validate: VALIDATE_MODE,
+        outputFormat: OUTPUT_FORMAT,
+        citations: CITATIONS,
+        pipeline: PIPELINE_CONFIG,
+        projection: PROJECTION,
+        filters: FILTERS,
+        stages: (pipelineStages || DEFAULT_STAGES.map(name => ({ name }))).map(stage => stage.name),
+        concurrentJobs: Math.min(CONCURRENT_JOBS, files.length),
+        filesQueued: files.length
+    });
+    // Carry the files completed by earlier runs forward, so the manifest covers the whole dataset
+    const previousEntries = loadRunManifestEntries(RUN_MANIFEST_FILE);
+    for (const { file, completed } of skippedFiles) {
+        runManifest.addSkippedFile(file, completed, previousEntries.get(file));
+    }
+    
     // Create progress bar
     const progressBar = new ProgressBar(files.length);
     
@@ -337,8 +565,11 @@ async function processFiles() {
             });
         }
     } else {
-        // For multi-threaded processing
-        log(`Processing ${files.length} files with ${CONCURRENT_JOBS} concurrent jobs`);
+        // For multi-threaded processing, each job runs on its own worker thread
+        log(`Processing ${files.length} files with ${CONCURRENT_JOBS} worker threads`);
+        workerPool = new WorkerPool(CONCURRENT_JOBS, path.join(__dirname, 'process-worker.js'), {
+            pipelineConfig: PIPELINE_CONFIG
+        });
         
         // We need to track completions separately because of concurrent execution
         const completionTracker = {
@@ -402,19 +633,60 @@ async function processFiles() {
         }
         
         // Wait for all processing to complete
-        await Promise.all(processingPromises);
+        try {
+            await Promise.all(processingPromises);
+        } finally {
+            await workerPool.destroy();
+            workerPool = null;
+        }
     }
     
     // Finalize the progress bar and show summary
     progressBar.finish();
     
+    if (!isShuttingDown) {
+        runManifest.finish();
+        log(`Run manifest saved to: ${RUN_MANIFEST_FILE}`);
+    }
+    
     // Final log entry
     log(`Processing complete. Successfully processed ${progressBar.stats.successful} of ${files.length} files (${progressBar.stats.failed} failures).`);
 }
 
+// Print the files a run would process, without processing them
+function listFiles() {
+    const files = getFilesToProcess();
+    for (const file of files) {
+        const size = fs.statSync(path.join(INPUT_DIR, file)).size;
+        const resuming = RESUME_MODE && fs.existsSync(getCheckpointPath(getOutputPath(file)));
+        console.log(`${file}\t${(size / 1024 / 1024).toFixed(1)} MB${resuming ? '\tresumes from checkpoint' : ''}`);
+    }
+    log(`Dry run: ${files.length} files would be processed with ${Math.min(CONCURRENT_JOBS, Math.max(files.length, 1))} ` +
+        `worker thread(s), writing to ${OUTPUT_DIR}`);
+}
+
 // Run the main process
 async function main() {
     try {
+        // Load custom pipeline stages if configured
+        if (PIPELINE_CONFIG) {
+            pipelineStages = loadPipelineConfig(PIPELINE_CONFIG, BUILTIN_STAGES);
+            log(`Using pipeline from ${PIPELINE_CONFIG}: ${pipelineStages.map(stage => stage.name).join(' → ')}`);
+        }
+        // Check the projection up front rather than failing every file
+        if (PROJECTION) {
+            loadProjection(PROJECTION);
+            log(`Writing the fields projected by ${PROJECTION}`);
+        }
+        if (FILTERS.length > 0) {
+            log(`Only writing records matching: ${FILTERS.join(' and ')}`);
+        }
+        
+        if (DRY_RUN) {
+            listFiles();
+            return;
+        }
+        
         // Process all files
         await processFiles();
         
@@ -422,7 +694,9 @@ async function main() {
         logStream.end();
     } catch (err) {
         logError('Fatal error in main process', err);
-        logStream.end();
+        if (logStream) {
+            logStream.end();
+        }
         process.exit(1);
     }
 }
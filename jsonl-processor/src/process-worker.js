@@ -0,0 +1,31 @@
+const { parentPort, workerData } = require('worker_threads');
+const { processJsonlFile, BUILTIN_STAGES } = require('./processor');
+const { loadPipelineConfig } = require('./pipeline');
+
+/**
+ * Worker thread entry point for process-all.js
+ *
+ * Runs processJsonlFile for each task posted by the WorkerPool so the
+ * CPU-bound parsing and transforms use their own core. Stage functions
+ * can't be sent between threads, so each worker loads the pipeline
+ * config itself from workerData.pipelineConfig.
+ */
+
+const stages = workerData && workerData.pipelineConfig
+    ? loadPipelineConfig(workerData.pipelineConfig, BUILTIN_STAGES)
+    : null;
+
+parentPort.on('message', async ({ id, task }) => {
+    try {
+        const result = await processJsonlFile(task.inputPath, task.outputPath, {
+            ...task.options,
+            stages,
+            onProgress: (processedCount) => {
+                parentPort.postMessage({ type: 'progress', id, processedCount });
+            }
+        });
+        parentPort.postMessage({ type: 'done', id, result });
+    } catch (err) {
+        parentPort.postMessage({ type: 'error', id, error: { message: err.message, stack: err.stack } });
+    }
+});
@@ -1,8 +1,26 @@
 const fs = require('fs');
-const readline = require('readline');
-const zlib = require('zlib');
+const path = require('path');
 const os = require('os');
-const { pipeline } = require('stream');
+const crypto = require('crypto');
+const { pipeline, Readable } = require('stream');
+
+const { resolveStages, runStages } = require('./pipeline');
+const { loadSchema, validateRecord, normalizeViolationPath } = require('./schema-validator');
+const { CheckpointedOutput, getCheckpointPath, readCheckpoint, removeCheckpoint } = require('./checkpoint');
+const { FORMATS, readRecords } = require('./readers');
+const { OUTPUT_FORMATS, createRecordWriter } = require('./output-formats');
+const { extractCitations } = require('./citations');
+const { compileProjection, loadProjection, projectRecord, pruneSchema } = require('./projection');
+const { compileFilters } = require('./filters');
+
+// Schema used for validation when none is given
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'schema.json');
+
+// Input lines between checkpoints when none is given
+const DEFAULT_CHECKPOINT_INTERVAL = 10000;
+
+// Finds year values in a processed line: plain integer years and the status of parsed ones
+const YEAR_FORM_PATTERN = /"year(?:_status)?":(?:"(\w+)"|-?\d)/g;
 
 // Memory monitoring
 function getMemoryUsage() {
@@ -55,6 +73,94 @@ function cleanNullValues(obj, parentKey = null) {
     return obj;
 }
 
+// "circa" markers in front of a year: c1998, ca. 1998, circa 1998, ~1998
+const CIRCA_PATTERN = /^(?:circa|ca\.?|c\.?|approx\.?|~)\s*/;
+// A year or two-digit year, optionally a range up to a full or abbreviated
+// end year, and a letter suffix as in "2019a"
+const YEAR_PATTERN = /^(\d{4}|\d{2})(?:\s*(?:-|\u2013|\u2014|\/|to)\s*(\d{4}|\d{1,2}))?([a-z])?$/;
+// Two-digit years up to this one are in the 2000s, later ones in the 1900s.
+// It is the year of the latest data (2026), so no reference gets a future
+// year; fixed rather than taken from the clock so reprocessing gives the same output.
+const TWO_DIGIT_YEAR_PIVOT = 26;
+
+/**
+ * Parses a year string that isn't a plain four-digit year
+ * Understands ranges (2001-2002, 1998/99), year-months (2015-06),
+ * circa (c1998, ca. 1998, 1998?), two-digit years (98, see TWO_DIGIT_YEAR_PIVOT),
+ * letter suffixes (2019a) and brackets or trailing punctuation around any of those.
+ * @param {string} value - The year as found in the record
+ * @returns {{start?: number, end?: number, status: string}} The year range and how it was parsed:
+ *   'year', 'range', 'year_month', 'circa', 'two_digit', 'suffix' or 'invalid' (no start/end)
+ */
+function parseYear(value) {
+    let text = String(value).trim().toLowerCase()
+        .replace(/[.,;]$/, '')
+        .replace(/^[([]\s*(.*?)\s*[)\]]$/, '$1');
+    let circa = false;
+    if (CIRCA_PATTERN.test(text)) {
+        circa = true;
+        text = text.replace(CIRCA_PATTERN, '');
+    }
+    if (text.endsWith('?')) {
+        circa = true;
+        text = text.slice(0, -1).trim();
+    }
+
+    const match = YEAR_PATTERN.exec(text);
+    if (!match) {
+        return { status: 'invalid' };
+    }
+    let start = parseInt(match[1], 10);
+    const twoDigit = match[1].length === 2;
+    if (twoDigit) {
+        start += start <= TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900;
+    }
+    let end = start;
+    let yearMonth = false;
+    if (match[2] !== undefined) {
+        end = parseInt(match[2], 10);
+        if (match[2].length < 4) {
+            // Abbreviated end year: 2001-02, 1998-9
+            const suffix = end;
+            const scale = 10 ** match[2].length;
+            end += start - (start % scale);
+            if (end < start && match[2].length === 2 && suffix >= 1 && suffix <= 12) {
+                // Not an end year but a month: 2015-06
+                yearMonth = true;
+                end = start;
+            }
+        }
+        if (end < start) {
+            return { status: 'invalid' };
+        }
+    }
+
+    const status = circa ? 'circa'
+        : twoDigit ? 'two_digit'
+            : match[3] ? 'suffix'
+                : yearMonth ? 'year_month'
+                    : end !== start ? 'range'
+                        : 'year';
+    return { start, end, status };
+}
+
+/**
+ * Fields replacing a year that isn't a plain four-digit year (see parseYear)
+ * @param {string} value - The year as found in the record
+ * @returns {Object} year_start and year_end (unless unparseable), year_raw and year_status
+ */
+function getYearFields(value) {
+    const { start, end, status } = parseYear(value);
+    const fields = {};
+    if (start !== undefined) {
+        fields.year_start = start;
+        fields.year_end = end;
+    }
+    fields.year_raw = value;
+    fields.year_status = status;
+    return fields;
+}
+
 /**
  * Fixes problematic fields for BigQuery ingest
  * @param {Object} obj - The object to process
@@ -63,29 +169,15 @@ function fixBigQueryIssues(obj) {
     if (Array.isArray(obj)) {
         obj.forEach(fixBigQueryIssues);
     } else if (obj !== null && typeof obj === 'object') {
-        // Handle year field - ensure it's a valid integer or convert to string
-        if (obj.year !== undefined) {
+        // Handle year field - plain years become integers, anything else is parsed
+        // into year_start/year_end with the original kept as year_raw
+        if (typeof obj.year === 'string') {
             const yearValue = obj.year;
-            // If year contains non-numeric characters (like hyphens in ranges)
-            if (typeof yearValue === 'string' && !(/^\d+$/.test(yearValue))) {
-                // Convert to year_string field and remove the original year
-                obj.year_string = yearValue;
+            if (/^\d{4}$/.test(yearValue)) {
+                obj.year = parseInt(yearValue, 10);
+            } else {
                 delete obj.year;
-            } else if (typeof yearValue === 'string') {
-                // Try to convert string year to integer if it's numeric
-                try {
-                    const yearInt = parseInt(yearValue, 10);
-                    if (!isNaN(yearInt)) {
-                        obj.year = yearInt;
-                    } else {
-                        obj.year_string = yearValue;
-                        delete obj.year;
-                    }
-                } catch {
-                    // If conversion fails, move to year_string
-                    obj.year_string = yearValue;
-                    delete obj.year;
-                }
+                Object.assign(obj, getYearFields(yearValue));
             }
         }
 
@@ -99,12 +191,128 @@ function fixBigQueryIssues(obj) {
     }
 }
 
+// How arrays of arrays other than date-parts are made BigQuery compatible
+// (see flattenNestedArrays), and the policy for paths without one
+const NESTED_ARRAY_POLICIES = ['wrap', 'concatenate', 'json', 'first'];
+const DEFAULT_NESTED_ARRAY_POLICY = 'wrap';
+
+// Parsed nestedArrays options, so a pipeline's stage options are checked once
+const nestedArrayPolicyCache = new WeakMap();
+
+// Paths schema.json declares as REPEATED without a values field, loaded on first use
+let flatSchemaArrayPaths = null;
+
+/**
+ * Lists the paths schema.json already stores as flat arrays
+ * Wrapped groups wouldn't fit these fields, so their arrays of arrays are
+ * concatenated unless a policy is set for them.
+ * @returns {Set<string>} Dotted paths, with underscores
+ */
+function getFlatSchemaArrayPaths() {
+    if (!flatSchemaArrayPaths) {
+        const paths = new Set();
+        const collect = (fields, parentPath) => {
+            for (const field of fields) {
+                const fieldPath = joinPath(parentPath, field.name);
+                const children = field.fields || [];
+                if (field.mode === 'REPEATED' && !children.some(child => child.name === 'values')) {
+                    paths.add(fieldPath);
+                }
+                collect(children, fieldPath);
+            }
+        };
+        collect(JSON.parse(fs.readFileSync(DEFAULT_SCHEMA_PATH, 'utf8')), '');
+        flatSchemaArrayPaths = paths;
+    }
+    return flatSchemaArrayPaths;
+}
+
+/**
+ * Reads the nestedArrays stage option
+ * It maps field paths to policies, e.g. { "author.affiliation.id": "concatenate" }.
+ * Paths are the field names from the record down to the array, without
+ * array indexes, written with dashes or underscores; "*" sets the policy
+ * for all other paths.
+ * @param {Object} [options] - Stage options
+ * @returns {Map<string, string>|null} Policies by path (with underscores), or null if none are set
+ * @throws {Error} If a policy is unknown
+ */
+function getNestedArrayPolicies(options) {
+    const nestedArrays = options ? options.nestedArrays : undefined;
+    if (nestedArrays === undefined || nestedArrays === null) {
+        return null;
+    }
+    if (typeof nestedArrays !== 'object' || Array.isArray(nestedArrays)) {
+        throw new Error('nestedArrays must map field paths to policies');
+    }
+    let policies = nestedArrayPolicyCache.get(nestedArrays);
+    if (!policies) {
+        policies = new Map();
+        for (const [fieldPath, policy] of Object.entries(nestedArrays)) {
+            if (!NESTED_ARRAY_POLICIES.includes(policy)) {
+                throw new Error(`Unknown nested array policy for ${fieldPath}: ${policy} (available: ${NESTED_ARRAY_POLICIES.join(', ')})`);
+            }
+            policies.set(fieldPath.replace(/-/g, '_'), policy);
+        }
+        nestedArrayPolicyCache.set(nestedArrays, policies);
+    }
+    return policies;
+}
+
+/**
+ * Looks up the policy for an array of arrays
+ * Without a policy for the path or "*", fields schema.json stores as flat
+ * arrays are concatenated and all others wrapped.
+ * @param {Map<string, string>|null} policies - From getNestedArrayPolicies
+ * @param {string} fieldPath - Path of the array
+ * @returns {string} The policy name
+ */
+function getNestedArrayPolicy(policies, fieldPath) {
+    const normalizedPath = fieldPath.replace(/-/g, '_');
+    const policy = policies ? policies.get(normalizedPath) || policies.get('*') : undefined;
+    if (policy) {
+        return policy;
+    }
+    return getFlatSchemaArrayPaths().has(normalizedPath) ? 'concatenate' : DEFAULT_NESTED_ARRAY_POLICY;
+}
+
+/**
+ * Appends a key to a field path
+ * @param {string} fieldPath - Path so far ('' at the record)
+ * @param {string} key - The key
+ * @returns {string}
+ */
+function joinPath(fieldPath, key) {
+    return fieldPath ? `${fieldPath}.${key}` : key;
+}
+
 /**
  * Flattens all nested arrays to make them BigQuery compatible
+ * date-parts arrays are unwrapped. Any other array of arrays is handled by
+ * the policy for its path in options.nestedArrays (see getNestedArrayPolicies):
+ *   wrap        - each inner array becomes {values: [...]}, keeping the groups
+ *                 (default, except for fields schema.json stores as flat arrays)
+ *   concatenate - the inner arrays are joined into one array (default for those)
+ *   json        - the whole array is serialized to a JSON string
+ *   first       - only the first inner array is kept
  * @param {Object} obj - The object to process
  * @param {string} [parentKey=null] - The parent key (for tracking context)
+ * @param {Object} [options={}] - Stage options
+ * @param {Object<string, string>} [options.nestedArrays] - Policies by field path
  */
-function flattenNestedArrays(obj, parentKey = null) {
+function flattenNestedArrays(obj, parentKey = null, options = {}) {
+    return flattenValue(obj, parentKey, parentKey || '', getNestedArrayPolicies(options));
+}
+
+/**
+ * Recursive part of flattenNestedArrays
+ * @param {*} obj - The value to process
+ * @param {string|null} parentKey - The key holding the value
+ * @param {string} fieldPath - Path of the value
+ * @param {Map<string, string>|null} policies - Nested array policies
+ * @returns {*} The flattened value
+ */
+function flattenValue(obj, parentKey, fieldPath, policies) {
     if (Array.isArray(obj)) {
         // Check if this array contains other arrays (nested array)
         const containsArrays = obj.some(item => Array.isArray(item));
@@ -120,8 +328,22 @@ function flattenNestedArrays(obj, parentKey = null) {
                 return obj;
             }
             
-            // For other nested arrays, we concatenate all sub-arrays
-            // This is a simplistic approach - adjust based on your data needs
+            const policy = getNestedArrayPolicy(policies, fieldPath);
+            if (policy === 'json') {
+                return JSON.stringify(obj);
+            }
+            if (policy === 'first') {
+                return flattenValue(obj.find(item => Array.isArray(item)), parentKey, fieldPath, policies);
+            }
+            if (policy === 'wrap') {
+                // Items that aren't arrays become groups of one
+                const valuesPath = joinPath(fieldPath, 'values');
+                return obj.map(item => (item === null ? null : {
+                    values: flattenValue(Array.isArray(item) ? item : [item], 'values', valuesPath, policies)
+                }));
+            }
+            
+            // Concatenate all sub-arrays
             const flattened = [];
             for (const item of obj) {
                 if (Array.isArray(item)) {
@@ -134,11 +356,11 @@ function flattenNestedArrays(obj, parentKey = null) {
                     flattened.push(item);
                 }
             }
-            return flattened.map(item => flattenNestedArrays(item));
+            return flattened.map(item => flattenValue(item, null, fieldPath, policies));
         }
         
         // Regular array - process each item
-        return obj.map(item => flattenNestedArrays(item));
+        return obj.map(item => flattenValue(item, null, fieldPath, policies));
     } 
     else if (obj !== null && typeof obj === 'object') {
         const result = {};
@@ -146,7 +368,7 @@ function flattenNestedArrays(obj, parentKey = null) {
         for (const key in obj) {
             const value = obj[key];
             // Recursively process all values
-            result[key] = flattenNestedArrays(value, key);
+            result[key] = flattenValue(value, key, joinPath(fieldPath, key), policies);
         }
         
         return result;
@@ -156,45 +378,90 @@ function flattenNestedArrays(obj, parentKey = null) {
     return obj;
 }
 
+// Precision names indexed by the number of valid date parts (minus one)
+const DATE_PRECISIONS = ['year', 'month', 'day'];
+
+// Crossref date objects ({date-parts, date-time, timestamp}) converted to ISO dates
+const DATE_FIELDS = ['published', 'created', 'deposited', 'indexed', 'issued',
+    'published-online', 'published-print'];
+
 /**
- * Converts date-parts array to ISO date string
+ * Extracts the integer year/month/day components from a date-parts array
+ * Stops at the first missing or non-numeric component, so [2019, null] yields [2019]
  * @param {Array} dateParts - The date-parts array (usually [year, month, day])
- * @returns {string|null} The ISO date string or null if invalid
+ * @returns {number[]} Between zero and three integer parts
  */
-function convertDatePartsToISOString(dateParts) {
+function extractDateParts(dateParts) {
     if (!Array.isArray(dateParts) || dateParts.length === 0) {
-        return null;
+        return [];
     }
     
     // Handle nested arrays - extract the first date array
     let parts = dateParts;
-    if (Array.isArray(dateParts[0]) && dateParts.length === 1) {
+    if (Array.isArray(dateParts[0])) {
         parts = dateParts[0];
     }
     
+    const result = [];
+    for (const part of parts.slice(0, DATE_PRECISIONS.length)) {
+        // Note that some values may be strings
+        const partNum = parseInt(part, 10);
+        if (isNaN(partNum)) {
+            break;
+        }
+        result.push(partNum);
+    }
+    return result;
+}
+
+/**
+ * Converts date-parts array to ISO date string
+ * Missing month and day are padded to 01; see setConvertedDate for the precision
+ * @param {Array} dateParts - The date-parts array (usually [year, month, day])
+ * @returns {string|null} The ISO date string or null if invalid
+ */
+function convertDatePartsToISOString(dateParts) {
+    const parts = extractDateParts(dateParts);
+    if (parts.length === 0) {
+        return null;
+    }
+    
     // Extract year, month, day from date parts
     const year = parts[0];
     const month = parts.length > 1 ? parts[1] : 1; // Default to January if no month
     const day = parts.length > 2 ? parts[2] : 1;   // Default to 1st if no day
     
-    // Validate values - note that some values may be strings
-    const yearNum = parseInt(year, 10);
-    const monthNum = parseInt(month, 10);
-    const dayNum = parseInt(day, 10);
-    
-    if (isNaN(yearNum)) {
-        return null;
-    }
-    
     // Format with padding
-    const formattedYear = String(yearNum).padStart(4, '0');
-    const formattedMonth = String(isNaN(monthNum) ? 1 : monthNum).padStart(2, '0');
-    const formattedDay = String(isNaN(dayNum) ? 1 : dayNum).padStart(2, '0');
+    const formattedYear = String(year).padStart(4, '0');
+    const formattedMonth = String(month).padStart(2, '0');
+    const formattedDay = String(day).padStart(2, '0');
     
     // Create ISO format (YYYY-MM-DD)
     return `${formattedYear}-${formattedMonth}-${formattedDay}`;
 }
 
+/**
+ * Writes a converted date to obj[key] along with its precision and raw parts
+ * Adds `${key}-precision` (year/month/day) and `${key}-parts` (integer array)
+ * so padded dates can be told apart from real January 1st dates
+ * @param {Object} obj - The object receiving the date fields
+ * @param {string} key - The key for the ISO date string
+ * @param {Array} dateParts - The date-parts array (usually [year, month, day])
+ * @returns {boolean} Whether a valid date was written
+ */
+function setConvertedDate(obj, key, dateParts) {
+    const parts = extractDateParts(dateParts);
+    const isoDate = convertDatePartsToISOString(parts);
+    if (!isoDate) {
+        return false;
+    }
+    
+    obj[key] = isoDate;
+    obj[`${key}-precision`] = DATE_PRECISIONS[parts.length - 1];
+    obj[`${key}-parts`] = parts;
+    return true;
+}
+
 /**
  * Replace dashes with underscores in all key names
  * @param {Object} obj - The object to process
@@ -227,42 +494,31 @@ function processDateFields(obj) {
     } else if (obj !== null && typeof obj === 'object') {
         // Look for any date-parts fields and convert them
         if (obj['date-parts'] !== undefined) {
-            let dateParts = obj['date-parts'];
-            
-            // If date-parts is a nested array, flatten it
-            if (Array.isArray(dateParts) && dateParts.length === 1 && Array.isArray(dateParts[0])) {
-                dateParts = dateParts[0];
-            }
-            
-            // Try to convert to ISO date string
-            const isoDate = convertDatePartsToISOString(dateParts);
-            if (isoDate) {
-                obj['date'] = isoDate;
-            }
+            const dateParts = obj['date-parts'];
             
             // Remove the original date-parts field
             delete obj['date-parts'];
+            
+            // Try to convert to ISO date string (also restores date-parts as plain integers)
+            setConvertedDate(obj, 'date', dateParts);
         }
         
         // Handle specific date fields in CrossRef schema
-        const dateFields = ['published', 'created', 'deposited', 'indexed', 'issued', 
-                           'published-online', 'published-print'];
-        for (const field of dateFields) {
+        for (const field of DATE_FIELDS) {
             if (obj[field] && typeof obj[field] === 'object') {
                 // For fields with direct date-parts
                 if (obj[field]['date-parts']) {
-                    // Normalize date-parts format (handle nested arrays)
-                    let dateParts = obj[field]['date-parts'];
-                    if (Array.isArray(dateParts) && dateParts.length === 1 && Array.isArray(dateParts[0])) {
-                        dateParts = dateParts[0];
+                    // Keep full-precision timestamps (sent for created, deposited and indexed)
+                    const { 'date-time': dateTime, timestamp } = obj[field];
+                    if (dateTime !== undefined && dateTime !== null) {
+                        obj[`${field}-date-time`] = dateTime;
+                    }
+                    if (timestamp !== undefined && timestamp !== null) {
+                        obj[`${field}-timestamp`] = timestamp;
                     }
                     
-                    // Add an ISO date string and replace the nested object
-                    const isoDate = convertDatePartsToISOString(dateParts);
-                    if (isoDate) {
-                        // Replace the entire object with just the ISO date string
-                        obj[field] = isoDate;
-                    } else {
+                    // Replace the entire object with just the ISO date string
+                    if (!setConvertedDate(obj, field, obj[field]['date-parts'])) {
                         // If we couldn't generate a date, just delete the field
                         delete obj[field];
                     }
@@ -274,17 +530,8 @@ function processDateFields(obj) {
         if (obj.license && Array.isArray(obj.license)) {
             obj.license.forEach(license => {
                 if (license && license.start && license.start['date-parts']) {
-                    // Normalize date format
-                    let dateParts = license.start['date-parts'];
-                    if (Array.isArray(dateParts) && dateParts.length === 1 && Array.isArray(dateParts[0])) {
-                        dateParts = dateParts[0];
-                    }
-                    
                     // Replace the nested object with just the ISO date
-                    const isoDate = convertDatePartsToISOString(dateParts);
-                    if (isoDate) {
-                        license.start = isoDate;
-                    } else {
+                    if (!setConvertedDate(license, 'start', license.start['date-parts'])) {
                         delete license.start;
                     }
                 }
@@ -301,21 +548,645 @@ function processDateFields(obj) {
     }
 }
 
+/**
+ * Rewrites the relation map into a list of typed relation entries
+ * Crossref keys relations by type ({"is-preprint-of": [{id, id-type, asserted-by}]}),
+ * which gives BigQuery a RECORD whose keys change from file to file.
+ * The result is [{type, id, id-type, asserted-by}], one entry per related item.
+ * @param {Object} obj - The record to process
+ */
+function processRelations(obj) {
+    const relation = obj ? obj.relation : undefined;
+    if (relation === null || typeof relation !== 'object' || Array.isArray(relation)) {
+        return;
+    }
+    
+    const entries = [];
+    for (const type in relation) {
+        // Each relation type usually holds an array, but single objects occur too
+        const items = Array.isArray(relation[type]) ? relation[type] : [relation[type]];
+        for (const item of items) {
+            if (item === null || typeof item !== 'object') {
+                continue;
+            }
+            entries.push({
+                type,
+                id: item.id,
+                'id-type': item['id-type'],
+                'asserted-by': item['asserted-by']
+            });
+        }
+    }
+    
+    obj.relation = entries;
+}
+
+/**
+ * Converts date-parts for the single-pass transform
+ * @param {Array} dateParts - The date-parts array (usually [year, month, day])
+ * @returns {{isoDate: string, precision: string, parts: number[]}|null} Null if invalid
+ */
+function convertDate(dateParts) {
+    const parts = extractDateParts(dateParts);
+    const isoDate = convertDatePartsToISOString(parts);
+    if (!isoDate) {
+        return null;
+    }
+    return { isoDate, precision: DATE_PRECISIONS[parts.length - 1], parts };
+}
+
+/**
+ * Writes an already standardized value to the result under its BigQuery key
+ * Drops nulls, except for fields that cannot be NULL (see cleanNullValues)
+ * @param {Object} result - The object being built
+ * @param {string} key - The original key
+ * @param {*} value - The standardized value
+ */
+function putStandardized(result, key, value) {
+    if (value === null) {
+        if (!key.includes('colidentifier') && !(key.startsWith('*') && key.endsWith('*'))) {
+            return;
+        }
+        value = "";
+    }
+    result[key.includes('-') ? key.replace(/-/g, '_') : key] = value;
+}
+
+/**
+ * Single-pass version of the array handling in the default stages
+ * Applies the nested array policy (see flattenNestedArrays), drops nulls
+ * and standardizes each item
+ * @param {Array} arr - The array to process
+ * @param {boolean} [isLicense=false] - Whether these are license entries (start dates are converted)
+ * @param {string} [fieldPath=''] - Path of the array
+ * @param {Map<string, string>|null} [policies=null] - Nested array policies
+ * @returns {Array|string} A new standardized array, or its JSON under the json policy
+ */
+function standardizeArray(arr, isLicense = false, fieldPath = '', policies = null) {
+    const result = [];
+    const nested = arr.some(item => Array.isArray(item));
+    if (nested) {
+        const policy = getNestedArrayPolicy(policies, fieldPath);
+        if (policy === 'json') {
+            return JSON.stringify(arr);
+        }
+        if (policy === 'first') {
+            return standardizeArray(arr.find(item => Array.isArray(item)), isLicense, fieldPath, policies);
+        }
+        if (policy === 'wrap') {
+            for (const item of arr) {
+                if (item !== null) {
+                    result.push(standardizeObject({ values: Array.isArray(item) ? item : [item] }, false, false, fieldPath, policies));
+                }
+            }
+            return result;
+        }
+    }
+    const push = (item) => {
+        if (item === null) {
+            return;
+        }
+        if (isLicense && typeof item === 'object' && !Array.isArray(item)) {
+            result.push(standardizeObject(item, false, true, fieldPath, policies));
+        } else {
+            result.push(standardizeValue(item, fieldPath, policies));
+        }
+    };
+
+    for (const item of arr) {
+        if (nested && Array.isArray(item)) {
+            item.forEach(push);
+        } else {
+            push(item);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rewrites the relation map for the single-pass transform
+ * Relation maps are small, so this runs the separate stages over just this
+ * subtree, which keeps their exact behaviour for odd relation type keys.
+ * @param {Object} relation - The relation map
+ * @param {Map<string, string>|null} policies - Nested array policies
+ * @returns {Array<Object>} Standardized relation entries (see processRelations)
+ */
+function standardizeRelations(relation, policies) {
+    const record = { relation: flattenValue(relation, 'relation', 'relation', policies) };
+    processDateFields(record.relation);
+    processRelations(record);
+    fixBigQueryIssues(record.relation);
+    return replaceKeyDashes(cleanNullValues(record.relation));
+}
+
+/**
+ * Single-pass version of the object handling in the default stages
+ * Keys are written in the same order the separate stages leave them in:
+ * the existing keys (dates and numeric years replaced in place), then any
+ * added date, precision, parts, date-time and timestamp keys, then the parsed year fields.
+ * @param {Object} obj - The object to process
+ * @param {boolean} isRoot - Whether this is the record itself (relations are rewritten)
+ * @param {boolean} isLicenseItem - Whether this is a license entry (start is converted)
+ * @param {string} [fieldPath=''] - Path of the object
+ * @param {Map<string, string>|null} [policies=null] - Nested array policies
+ * @returns {Object} A new standardized object
+ */
+function standardizeObject(obj, isRoot, isLicenseItem, fieldPath = '', policies = null) {
+    const result = {};
+    let startDate = null;
+    let fieldDates = null;
+    let yearFields;
+
+    for (const key in obj) {
+        const value = obj[key];
+
+        if (key === 'date-parts') {
+            // Converted after the existing keys, as processDateFields does
+            continue;
+        }
+        if (isLicenseItem && key === 'start' && value && value['date-parts']) {
+            startDate = convertDate(value['date-parts']);
+            if (startDate) {
+                putStandardized(result, key, startDate.isoDate);
+            }
+            continue;
+        }
+        if (value !== null && typeof value === 'object' && value['date-parts'] && DATE_FIELDS.includes(key)) {
+            const converted = convertDate(value['date-parts']);
+            fieldDates = fieldDates || new Map();
+            fieldDates.set(key, { dateTime: value['date-time'], timestamp: value.timestamp, converted });
+            if (converted) {
+                putStandardized(result, key, converted.isoDate);
+            }
+            continue;
+        }
+        if (key === 'year' && typeof value === 'string') {
+            if (/^\d{4}$/.test(value)) {
+                putStandardized(result, key, parseInt(value, 10));
+            } else {
+                yearFields = getYearFields(value);
+            }
+            continue;
+        }
+        if (isRoot && key === 'relation' && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            putStandardized(result, key, standardizeRelations(value, policies));
+            continue;
+        }
+
+        putStandardized(result, key, key === 'license' && Array.isArray(value)
+            ? standardizeArray(value, true, joinPath(fieldPath, key), policies)
+            : standardizeValue(value, joinPath(fieldPath, key), policies));
+    }
+
+    if (startDate) {
+        putStandardized(result, 'start-precision', startDate.precision);
+        putStandardized(result, 'start-parts', startDate.parts);
+    }
+    if (obj['date-parts'] !== undefined) {
+        const date = convertDate(obj['date-parts']);
+        if (date) {
+            putStandardized(result, 'date', date.isoDate);
+            putStandardized(result, 'date-precision', date.precision);
+            putStandardized(result, 'date-parts', date.parts);
+        }
+    }
+    if (fieldDates) {
+        for (const field of DATE_FIELDS) {
+            const entry = fieldDates.get(field);
+            if (!entry) {
+                continue;
+            }
+            if (entry.dateTime !== undefined && entry.dateTime !== null) {
+                putStandardized(result, `${field}-date-time`, standardizeValue(entry.dateTime));
+            }
+            if (entry.timestamp !== undefined && entry.timestamp !== null) {
+                putStandardized(result, `${field}-timestamp`, standardizeValue(entry.timestamp));
+            }
+            if (entry.converted) {
+                putStandardized(result, `${field}-precision`, entry.converted.precision);
+                putStandardized(result, `${field}-parts`, entry.converted.parts);
+            }
+        }
+    }
+    if (yearFields) {
+        for (const [key, value] of Object.entries(yearFields)) {
+            putStandardized(result, key, value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Standardizes any value for the single-pass transform
+ * @param {*} value - The value to process
+ * @param {string} [fieldPath=''] - Path of the value
+ * @param {Map<string, string>|null} [policies=null] - Nested array policies
+ * @returns {*} The standardized value
+ */
+function standardizeValue(value, fieldPath = '', policies = null) {
+    if (Array.isArray(value)) {
+        return standardizeArray(value, false, fieldPath, policies);
+    }
+    if (value !== null && typeof value === 'object') {
+        return standardizeObject(value, false, false, fieldPath, policies);
+    }
+    return value;
+}
+
+/**
+ * Applies all of the default transforms in a single traversal
+ * Produces the same output as MULTI_PASS_STAGES (flatten nested arrays, convert
+ * dates, rewrite relations, fix years, drop nulls, replace key dashes) while
+ * walking and copying the record once instead of once per stage.
+ * @param {Object} obj - The parsed Crossref record
+ * @param {Object} [options={}] - Stage options
+ * @param {Object<string, string>} [options.nestedArrays] - Nested array policies by field path (see flattenNestedArrays)
+ * @returns {Object} A new BigQuery-ready record
+ */
+function standardizeRecord(obj, options = {}) {
+    const policies = getNestedArrayPolicies(options);
+    if (obj !== null && typeof obj === 'object' && !Array.isArray(obj)) {
+        return standardizeObject(obj, true, false, '', policies);
+    }
+    return standardizeValue(obj, '', policies);
+}
+
+// Prefixes DOIs are sometimes written with
+const DOI_PREFIX_PATTERN = /^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i;
+// A DOI: "10.", the registrant code, then a slash and the suffix
+const DOI_PATTERN = /^10\.\d+(?:\.\d+)*\/\S+$/;
+const ORCID_PREFIX_PATTERN = /^https?:\/\/(?:www\.)?orcid\.org\//i;
+
+// Contributor arrays whose ORCIDs are normalized
+const CONTRIBUTOR_FIELDS = ['author', 'editor', 'chair', 'translator'];
+
+/**
+ * Normalizes a DOI to its lowercase bare form
+ * e.g. "https://doi.org/10.1000/ABC" -> "10.1000/abc"
+ * @param {string} value - DOI as found in the record
+ * @returns {{value: string}|{error: string}} The normalized DOI, or why it is invalid
+ */
+function normalizeDoi(value) {
+    const doi = String(value).trim().replace(DOI_PREFIX_PATTERN, '').toLowerCase();
+    return DOI_PATTERN.test(doi) ? { value: doi } : { error: 'format' };
+}
+
+/**
+ * Normalizes an ORCID iD to its bare hyphenated form and checks its
+ * ISO 7064 11,2 check digit
+ * e.g. "http://orcid.org/0000-0002-1825-0097" -> "0000-0002-1825-0097"
+ * @param {string} value - ORCID as found in the record
+ * @returns {{value: string}|{error: string}} The normalized ORCID, or why it is invalid
+ */
+function normalizeOrcid(value) {
+    const digits = String(value).trim().replace(ORCID_PREFIX_PATTERN, '').replace(/[-\s]/g, '').toUpperCase();
+    if (!/^\d{15}[\dX]$/.test(digits)) {
+        return { error: 'format' };
+    }
+    let total = 0;
+    for (let i = 0; i < 15; i++) {
+        total = (total + Number(digits[i])) * 2;
+    }
+    const check = (12 - (total % 11)) % 11;
+    if (digits[15] !== (check === 10 ? 'X' : String(check))) {
+        return { error: 'checksum' };
+    }
+    return { value: digits.match(/.{4}/g).join('-') };
+}
+
+/**
+ * Normalizes an ISSN to the hyphenated NNNN-NNNC form used for ISSN-L and
+ * checks its mod 11 check digit
+ * @param {string} value - ISSN as found in the record
+ * @returns {{value: string}|{error: string}} The normalized ISSN, or why it is invalid
+ */
+function normalizeIssn(value) {
+    const digits = String(value).trim().replace(/[-\s]/g, '').toUpperCase();
+    if (!/^\d{7}[\dX]$/.test(digits)) {
+        return { error: 'format' };
+    }
+    let total = 0;
+    for (let i = 0; i < 7; i++) {
+        total += Number(digits[i]) * (8 - i);
+    }
+    const check = (11 - (total % 11)) % 11;
+    if (digits[7] !== (check === 10 ? 'X' : String(check))) {
+        return { error: 'checksum' };
+    }
+    return { value: `${digits.slice(0, 4)}-${digits.slice(4)}` };
+}
+
+// EAN-13 check digit of the first 12 digits
+function isbn13CheckDigit(digits) {
+    let total = 0;
+    for (let i = 0; i < 12; i++) {
+        total += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (total % 10)) % 10);
+}
+
+/**
+ * Normalizes an ISBN-10 or ISBN-13 to an unhyphenated ISBN-13, checking its check digit
+ * e.g. "0-306-40615-2" -> "9780306406157"
+ * @param {string} value - ISBN as found in the record
+ * @returns {{value: string}|{error: string}} The ISBN-13, or why it is invalid
+ */
+function normalizeIsbn(value) {
+    const digits = String(value).trim().replace(/[-\s]/g, '').toUpperCase();
+    if (/^\d{9}[\dX]$/.test(digits)) {
+        let total = 0;
+        for (let i = 0; i < 10; i++) {
+            total += (digits[i] === 'X' ? 10 : Number(digits[i])) * (10 - i);
+        }
+        if (total % 11 !== 0) {
+            return { error: 'checksum' };
+        }
+        const isbn13 = `978${digits.slice(0, 9)}`;
+        return { value: isbn13 + isbn13CheckDigit(isbn13) };
+    }
+    if (/^97[89]\d{10}$/.test(digits)) {
+        return digits[12] === isbn13CheckDigit(digits) ? { value: digits } : { error: 'checksum' };
+    }
+    return { error: 'format' };
+}
+
+/**
+ * Adds canonical forms of the record's identifiers for joining with other datasets
+ * Sets doi_normalized, orcid_normalized on each author/editor/chair/translator,
+ * and issn_normalized and isbn_normalized (ISBN-13) arrays without duplicates.
+ * Values that fail validation get no normalized form; they are listed in
+ * invalid_identifiers as {field, value, reason} with reason 'format' or 'checksum'.
+ * Works on raw and processed records.
+ * @param {Object} obj - The record
+ * @returns {Object} The record, modified in place
+ */
+function normalizeIdentifiers(obj) {
+    if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) {
+        return obj;
+    }
+    const invalid = [];
+    const normalize = (normalizer, value, field) => {
+        if (value === null || value === undefined || value === '') {
+            return undefined;
+        }
+        const result = normalizer(value);
+        if (result.error) {
+            invalid.push({ field, value: String(value), reason: result.error });
+            return undefined;
+        }
+        return result.value;
+    };
+
+    if (obj.DOI !== undefined) {
+        const doi = normalize(normalizeDoi, obj.DOI, 'DOI');
+        if (doi !== undefined) {
+            obj.doi_normalized = doi;
+        }
+    }
+    for (const field of CONTRIBUTOR_FIELDS) {
+        if (!Array.isArray(obj[field])) {
+            continue;
+        }
+        for (const contributor of obj[field]) {
+            if (contributor && typeof contributor === 'object' && contributor.ORCID !== undefined) {
+                const orcid = normalize(normalizeOrcid, contributor.ORCID, `${field}.ORCID`);
+                if (orcid !== undefined) {
+                    contributor.orcid_normalized = orcid;
+                }
+            }
+        }
+    }
+    for (const [field, normalizer, target] of [['ISSN', normalizeIssn, 'issn_normalized'], ['ISBN', normalizeIsbn, 'isbn_normalized']]) {
+        if (obj[field] === undefined) {
+            continue;
+        }
+        const values = [].concat(obj[field])
+            .map(value => normalize(normalizer, value, field))
+            .filter(value => value !== undefined);
+        if (values.length > 0) {
+            obj[target] = [...new Set(values)];
+        }
+    }
+    if (invalid.length > 0) {
+        obj.invalid_identifiers = invalid;
+    }
+    return obj;
+}
+
+// Built-in record transforms, available to pipelines by name.
+// Wrapped so the stage options argument is not mistaken for a parentKey.
+const BUILTIN_STAGES = {
+    flattenNestedArrays: (obj, options) => flattenNestedArrays(obj, null, options),
+    processDateFields: obj => processDateFields(obj),
+    processRelations: obj => processRelations(obj),
+    fixBigQueryIssues: obj => fixBigQueryIssues(obj),
+    cleanNullValues: obj => cleanNullValues(obj),
+    replaceKeyDashes: obj => replaceKeyDashes(obj),
+    standardizeRecord: (obj, options) => standardizeRecord(obj, options),
+    normalizeIdentifiers: obj => normalizeIdentifiers(obj)
+};
+
+// The default transformation: the first six of MULTI_PASS_STAGES in one
+// traversal, then the identifier normalization
+const DEFAULT_STAGES = ['standardizeRecord', 'normalizeIdentifiers'];
+
+// The default transformation as separate stages, for pipelines that need
+// to insert or disable steps in between
+const MULTI_PASS_STAGES = [
+    'flattenNestedArrays',
+    'processDateFields',
+    'processRelations',
+    'fixBigQueryIssues',
+    'cleanNullValues',
+    // Replace dashes with underscores in all keys
+    'replaceKeyDashes',
+    'normalizeIdentifiers'
+];
+
+/**
+ * Last-ditch fix for nested arrays that survive the pipeline
+ * Wraps the items of any array that still contains arrays as {values: [...]},
+ * like the default nested array policy, so the groups are kept
+ * @param {Object} obj - The transformed record
+ * @returns {Object} A copy of the record without nested arrays
+ */
+function flattenRemainingNestedArrays(obj) {
+    return JSON.parse(JSON.stringify(obj, (key, value) => {
+        // If this is an array that contains an array, wrap its items
+        if (Array.isArray(value) && value.some(item => Array.isArray(item))) {
+            return value.map(item => (item === null ? null : { values: Array.isArray(item) ? item : [item] }));
+        }
+        return value;
+    }));
+}
+
+/**
+ * Transforms a single parsed Crossref record into its BigQuery-ready form
+ * Runs the pipeline stages followed by the final nested array check
+ * @param {Object} obj - The parsed Crossref record
+ * @param {Object} [options={}] - Additional options
+ * @param {Array} [options.stages=DEFAULT_STAGES] - Pipeline stages (see pipeline.js)
+ * @returns {Object} The transformed record
+ */
+function transformRecord(obj, options = {}) {
+    const stages = resolveStages(options.stages || DEFAULT_STAGES, BUILTIN_STAGES);
+    const result = runStages(obj, stages);
+    
+    // Final validation - check for any remaining nested arrays
+    if (JSON.stringify(result).includes('[[')) {
+        return flattenRemainingNestedArrays(result);
+    }
+    return result;
+}
+
+/**
+ * Fingerprints the options that shape a file's output
+ * A checkpoint or completed output made with other stages, filters,
+ * projection, output format or validation mode must not be added to or
+ * kept, so both record this.
+ * @param {Object} [options={}] - processJsonlFile options
+ * @returns {string} sha256 of the stage names and options, filters, projection,
+ *   output format and validation mode
+ */
+function getOptionsFingerprint(options = {}) {
+    const stages = resolveStages(options.stages || DEFAULT_STAGES, BUILTIN_STAGES);
+    const projection = typeof options.projection === 'string'
+        ? JSON.parse(fs.readFileSync(options.projection, 'utf8'))
+        : options.projection || null;
+    return crypto.createHash('sha256').update(JSON.stringify({
+        stages: stages.map(stage => ({ name: stage.name, options: stage.options })),
+        filters: [].concat(options.filters || []),
+        projection,
+        outputFormat: options.outputFormat || 'ndjson',
+        validate: options.validate || false
+    })).digest('hex');
+}
+
+/**
+ * Derives the dead-letter path for an output file
+ * e.g. 001_processed.jsonl.gz -> 001_rejected.jsonl.gz, 001_processed.parquet -> 001_rejected.jsonl.gz
+ * @param {string} outputPath - Path to the output file
+ * @returns {string} Path to the rejected lines file
+ */
+function getRejectedPath(outputPath) {
+    return outputPath.replace(/(_processed)?(\.jsonl|\.parquet|\.avro)?(\.gz)?$/, '') + '_rejected.jsonl.gz';
+}
+
+/**
+ * Derives the citation edge list path for an output file
+ * e.g. 001_processed.jsonl.gz -> 001_citations.jsonl.gz
+ * @param {string} outputPath - Path to the output file
+ * @returns {string} Path to the citations file
+ */
+function getCitationsPath(outputPath) {
+    return outputPath.replace(/(_processed)?(\.jsonl|\.parquet|\.avro)?(\.gz)?$/, '') + '_citations.jsonl.gz';
+}
+
 /**
  * Process a JSONL file line by line and write to output file
- * @param {string} inputPath - Path to the input JSONL file (can be .gz)
+ * Output is written to OUTPUT.partial and renamed once the whole input is
+ * done, so the output path only ever holds complete files (see checkpoint.js).
+ * Other input formats are read record by record (see readers.js); line
+ * numbers then count records, across all members of a tar archive.
+ * @param {string} inputPath - Path to the input file: JSONL, JSON with an items array
+ *   or a tar archive of those (can be .gz)
  * @param {string} outputPath - Path to the output JSONL file (will be .gz)
  * @param {Object} options - Additional options
  * @param {boolean} [options.debugMode=false] - Whether to log problematic JSON
  * @param {boolean} [options.quiet=false] - Suppress all console output
- * @returns {Promise<{processedCount: number, errorCount: number}>}
+ * @param {Array} [options.stages=DEFAULT_STAGES] - Pipeline stages (see pipeline.js)
+ * @param {string|false} [options.rejectedPath] - Where to write rejected lines
+ *   (defaults to NNN_rejected.jsonl.gz next to the output; false disables)
+ * @param {string|false} [options.citationsPath=false] - Also write the citation edge list of the
+ *   written records here (see citations.js); getCitationsPath gives the usual name
+ * @param {string|false} [options.validate=false] - Check each record against the schema:
+ *   'report' writes invalid records and counts their violations,
+ *   'quarantine' sends them to the rejected file instead of the output
+ * @param {string|Array} [options.schema] - Schema path or parsed schema (defaults to schema.json)
+ * @param {Function} [options.onProgress] - Called with the running record count every 1000 records
+ * @param {number} [options.checkpointInterval=10000] - Input lines between checkpoints (0 disables)
+ * @param {boolean} [options.resume=false] - Continue from the last checkpoint of an interrupted run
+ * @param {string} [options.format] - Input format: 'jsonl', 'json' or 'tar' (detected from the file name by default)
+ * @param {string} [options.outputFormat='ndjson'] - 'ndjson' (gzipped), or 'parquet'/'avro' typed from
+ *   the schema (see output-formats.js); those are written without checkpoints and can't be resumed
+ * @param {string|Object} [options.projection] - Only write these fields: a projection file or
+ *   {include, exclude} paths (see projection.js); the schema is pruned to match. Citations are
+ *   still taken from the whole record
+ * @param {string[]} [options.filters] - Only write records matching all of these filter
+ *   expressions, e.g. ["type=journal-article", "issued>=2015"] (see filters.js); the others are counted
+ * @returns {Promise<{processedCount: number, errorCount: number, rejectedPath: string|null,
+ *   citationsPath: string|null, citationsCount: number, yearForms: Object<string, number>, filteredCount: number,
+ *   invalidCount: number, violationSummary: Object<string, number>, rejectedCount: number,
+ *   rejectedByStage: Object<string, number>, inputLines: number, inputBytes: number,
+ *   inputSha256: string, outputBytes: number, outputSha256: string, resumedFromLine: number,
+ *   optionsFingerprint: string, discardedCheckpoint: boolean}>}
+ *   Counts include the records written before the checkpoint when resuming. A checkpoint
+ *   written with other options (see getOptionsFingerprint) or without its partial files
+ *   is discarded and the file processed from the start (discardedCheckpoint)
  */
 async function processJsonlFile(inputPath, outputPath, options = {}) {
     const { debugMode = false, quiet = false } = options;
+    const stages = resolveStages(options.stages || DEFAULT_STAGES, BUILTIN_STAGES);
+    const rejectedPath = options.rejectedPath !== undefined ? options.rejectedPath : getRejectedPath(outputPath);
+    const citationsPath = options.citationsPath || null;
+    const { onProgress = null } = options;
+    const validate = options.validate || false;
+    if (validate && validate !== 'report' && validate !== 'quarantine') {
+        throw new Error(`Invalid validate option: ${validate} (expected 'report' or 'quarantine')`);
+    }
+    if (options.format && !FORMATS.includes(options.format)) {
+        throw new Error(`Invalid format option: ${options.format} (expected ${FORMATS.join(', ')})`);
+    }
+    const outputFormat = options.outputFormat || 'ndjson';
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Invalid outputFormat option: ${outputFormat} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    const filter = compileFilters(options.filters);
+    const projection = typeof options.projection === 'string' ? loadProjection(options.projection)
+        : options.projection ? compileProjection(options.projection)
+            : null;
+    let schemaFields = options.schema || DEFAULT_SCHEMA_PATH;
+    if (projection && (validate || outputFormat !== 'ndjson')) {
+        // Projected records are checked and typed against the fields they keep
+        const fields = typeof schemaFields === 'string' ? JSON.parse(fs.readFileSync(schemaFields, 'utf8')) : schemaFields;
+        schemaFields = pruneSchema(fields, projection);
+    }
+    const schema = validate ? loadSchema(schemaFields) : null;
+    // Parquet/Avro rows, typed from the schema
+    const recordWriter = outputFormat !== 'ndjson'
+        ? createRecordWriter(outputFormat, schemaFields)
+        : null;
+    const checkpointInterval = recordWriter ? 0
+        : options.checkpointInterval !== undefined ? options.checkpointInterval : DEFAULT_CHECKPOINT_INTERVAL;
+    
+    // Pick up where an interrupted run left off, or clear out its leftovers
+    const optionsFingerprint = getOptionsFingerprint({ ...options, stages });
+    const resumeFrom = options.resume && !recordWriter
+        ? readCheckpoint(outputPath, rejectedPath || null, path.basename(inputPath), citationsPath, optionsFingerprint)
+        : null;
+    const discardedCheckpoint = Boolean(options.resume) && !resumeFrom && fs.existsSync(getCheckpointPath(outputPath));
+    if (!resumeFrom) {
+        removeCheckpoint(outputPath, rejectedPath || null, citationsPath);
+    }
     
     return new Promise((resolve, reject) => {
-        let processedCount = 0;
-        let errorCount = 0;
+        let processedCount = resumeFrom ? resumeFrom.processedCount : 0;
+        let errorCount = resumeFrom ? resumeFrom.errorCount : 0;
+        let lineNumber = 0;
+        let invalidCount = resumeFrom ? resumeFrom.invalidCount : 0;
+        // Violation counts keyed by "kind path", e.g. "date issued"
+        const violationSummary = resumeFrom ? { ...resumeFrom.violationSummary } : {};
+        // Rejected lines, counted by the stage that rejected them
+        let rejectedCount = resumeFrom ? resumeFrom.rejectedCount || 0 : 0;
+        const rejectedByStage = resumeFrom ? { ...resumeFrom.rejectedByStage } : {};
+        // Citation edges written
+        let citationsCount = resumeFrom ? resumeFrom.citationsCount || 0 : 0;
+        // Records skipped for not matching the filters
+        let filteredCount = resumeFrom ? resumeFrom.filteredCount || 0 : 0;
+        // Year values by the form they were found in ('plain' or a parseYear status)
+        const yearForms = resumeFrom ? { ...resumeFrom.yearForms } : {};
+        // Lines already committed by the interrupted run
+        const skipLines = resumeFrom ? resumeFrom.lineNumber : 0;
         let isFinished = false;
         let transformStream = null;
 
@@ -332,21 +1203,91 @@ async function processJsonlFile(inputPath, outputPath, options = {}) {
             }
         };
 
-        // Create input stream
-        const inputStream = inputPath.endsWith('.gz') 
-            ? fs.createReadStream(inputPath).pipe(zlib.createGunzip())
-            : fs.createReadStream(inputPath);
+        // Create input stream, hashing the file as it is read
+        const fileStream = fs.createReadStream(inputPath);
+        const inputHash = crypto.createHash('sha256');
+        let inputBytes = 0;
+        fileStream.on('data', (chunk) => {
+            inputHash.update(chunk);
+            inputBytes += chunk.length;
+        });
+        // Archive member the current records come from (tar input only)
+        let archiveEntry = null;
 
-        // Create output compression stream
-        const gzipStream = zlib.createGzip();
-        const outputStream = fs.createWriteStream(outputPath);
+        // Compressed, checkpointed output for processed and rejected lines
+        const output = new CheckpointedOutput(outputPath, rejectedPath || null, resumeFrom, { recordWriter, citationsPath });
+        if (resumeFrom) {
+            log(`Resuming ${path.basename(inputPath)} after line ${skipLines} (${processedCount} records already written)`);
+        }
         
         // Debug log file - conditionally created
         let debugLogStream = null;
         if (debugMode) {
             const debugPath = `${outputPath}.debug.log`;
-            debugLogStream = fs.createWriteStream(debugPath);
-            debugLogStream.write(`Debug log for ${inputPath}\n`);
+            debugLogStream = fs.createWriteStream(debugPath, { flags: resumeFrom ? 'a' : 'w' });
+            debugLogStream.write(`Debug log for ${inputPath}${resumeFrom ? ` (resumed after line ${skipLines})` : ''}\n`);
+        }
+
+        // Dead-letter output for rejected lines - the rejected file is only created on the first rejection
+        function writeRejected(entry) {
+            if (archiveEntry) {
+                entry.archive_entry = archiveEntry;
+            }
+            rejectedCount++;
+            rejectedByStage[entry.stage] = (rejectedByStage[entry.stage] || 0) + 1;
+            transformStream.push({ rejected: JSON.stringify(entry) + '\n' });
+        }
+
+        // Counts a written record and its year forms, reporting progress every 1000 records
+        function countProcessed(jsonLine) {
+            processedCount++;
+            if (jsonLine.includes('"year')) {
+                for (const match of jsonLine.matchAll(YEAR_FORM_PATTERN)) {
+                    const form = match[1] || 'plain';
+                    yearForms[form] = (yearForms[form] || 0) + 1;
+                }
+            }
+            if (processedCount % 1000 === 0) {
+                const mem = getMemoryUsage();
+                log(`Processed ${processedCount} lines. Memory: ${mem.heapUsed}MB used, ${mem.heapTotal}MB total`);
+                if (onProgress) {
+                    onProgress(processedCount);
+                }
+            }
+        }
+
+        // Validates a finished record; returns false if it was quarantined
+        function checkRecord(record, lineStr) {
+            if (!schema) {
+                return true;
+            }
+            const violations = validateRecord(record, schema);
+            if (violations.length === 0) {
+                return true;
+            }
+            
+            invalidCount++;
+            for (const violation of violations) {
+                const key = `${violation.kind} ${normalizeViolationPath(violation.path)}`;
+                violationSummary[key] = (violationSummary[key] || 0) + 1;
+            }
+            const message = violations.map(v => `${v.path}: ${v.message}`).join('; ');
+            if (debugMode && debugLogStream) {
+                debugLogStream.write(`SCHEMA at line ${lineNumber}: ${message}\n\n`);
+            }
+            
+            if (validate === 'quarantine') {
+                writeRejected({
+                    source_file: path.basename(inputPath),
+                    line_number: lineNumber,
+                    stage: 'validate',
+                    error: message,
+                    violations,
+                    line: lineStr
+                });
+                return false;
+            }
+            return true;
         }
 
         // Create a transform stream to process each line
@@ -354,23 +1295,86 @@ async function processJsonlFile(inputPath, outputPath, options = {}) {
         transformStream = new Transform({
             objectMode: true,
             transform(line, encoding, callback) {
+                if (typeof line !== 'string') {
+                    // Start of the next tar archive member
+                    archiveEntry = line.entry;
+                    return callback();
+                }
+                lineNumber++;
+                if (lineNumber <= skipLines) {
+                    // Already written before the checkpoint we resumed from
+                    return callback();
+                }
+                
+                // Passes on the output chunks (if any) and commits a checkpoint every checkpointInterval lines
+                const done = (...chunks) => {
+                    for (const chunk of chunks) {
+                        if (chunk) {
+                            transformStream.push(chunk);
+                        }
+                    }
+                    if (checkpointInterval > 0 && lineNumber % checkpointInterval === 0) {
+                        transformStream.push({
+                            checkpoint: {
+                                source_file: path.basename(inputPath),
+                                optionsFingerprint,
+                                lineNumber,
+                                processedCount,
+                                errorCount,
+                                invalidCount,
+                                violationSummary: { ...violationSummary },
+                                rejectedCount,
+                                rejectedByStage: { ...rejectedByStage },
+                                citationsCount,
+                                filteredCount,
+                                yearForms: { ...yearForms }
+                            }
+                        });
+                    }
+                    callback();
+                };
+                
+                // Output chunk for a finished record: its JSON line, or a typed row for Parquet/Avro
+                const toChunk = (record, result) => (recordWriter
+                    ? { record: recordWriter.convert(record) }
+                    : { output: result });
+                
+                // Citation edges of a finished record, if they are being written
+                const toCitations = (record) => {
+                    if (!citationsPath) {
+                        return null;
+                    }
+                    const edges = extractCitations(record);
+                    if (edges.length === 0) {
+                        return null;
+                    }
+                    citationsCount += edges.length;
+                    return { citations: edges.map(edge => JSON.stringify(edge) + '\n').join('') };
+                };
+                
+                // Which step is running, for the dead-letter entry
+                let step = 'parse';
                 try {
                     const lineStr = line.toString().trim();
                     if (!lineStr) {
                         // Skip empty lines
-                        return callback(null, '');
+                        return done(null);
                     }
                     
                     const obj = JSON.parse(lineStr);
                     
-                    // Apply all transformations in the correct order
-                    const flattenedObj = flattenNestedArrays(obj);
-                    processDateFields(flattenedObj);
-                    fixBigQueryIssues(flattenedObj);
-                    const cleanedObj = cleanNullValues(flattenedObj);
+                    // Skip records outside the wanted subset before doing any work on them
+                    if (filter && !filter(obj)) {
+                        filteredCount++;
+                        return done(null);
+                    }
                     
-                    // Replace dashes with underscores in all keys
-                    const standardizedObj = replaceKeyDashes(cleanedObj);
+                    // Apply all transformations in the configured order
+                    step = 'transform';
+                    const fullObj = runStages(obj, stages);
+                    // Citations come from the whole record, even when only some fields are written
+                    const standardizedObj = projection ? projectRecord(fullObj, projection) : fullObj;
+                    step = 'serialize';
                     
                     // Final validation - check for any remaining nested arrays
                     const jsonStr = JSON.stringify(standardizedObj);
@@ -381,14 +1385,12 @@ async function processJsonlFile(inputPath, outputPath, options = {}) {
                         }
                         
                         // Last-ditch effort to fix any remaining nested arrays
-                        const lastFixObj = JSON.parse(jsonStr);
-                        const lastFixedObj = JSON.parse(JSON.stringify(lastFixObj, (key, value) => {
-                            // If this is an array that contains an array, flatten it
-                            if (Array.isArray(value) && value.some(item => Array.isArray(item))) {
-                                return [].concat(...value);
-                            }
-                            return value;
-                        }));
+                        const lastFixedObj = flattenRemainingNestedArrays(standardizedObj);
+                        
+                        step = 'validate';
+                        if (!checkRecord(lastFixedObj, lineStr)) {
+                            return done(null);
+                        }
                         
                         // Final result with newline
                         const result = JSON.stringify(lastFixedObj) + '\n';
@@ -398,14 +1400,17 @@ async function processJsonlFile(inputPath, outputPath, options = {}) {
                             debugLogStream.write(`After final fix: ${result.substring(0, 500)}...\n\n`);
                         }
                         
-                        processedCount++;
-                        if (processedCount % 1000 === 0) {
-                            const mem = getMemoryUsage();
-                            log(`Processed ${processedCount} lines. Memory: ${mem.heapUsed}MB used, ${mem.heapTotal}MB total`);
-                        }
+                        step = 'serialize';
+                        const chunk = toChunk(lastFixedObj, result);
+                        countProcessed(result);
                         
-                        callback(null, result);
+                        done(chunk, toCitations(fullObj));
                     } else {
+                        step = 'validate';
+                        if (!checkRecord(standardizedObj, lineStr)) {
+                            return done(null);
+                        }
+                        
                         // Normal result with newline
                         const result = jsonStr + '\n';
                         
@@ -429,98 +1434,128 @@ async function processJsonlFile(inputPath, outputPath, options = {}) {
                             }
                         }
                         
-                        processedCount++;
-                        if (processedCount % 1000 === 0) {
-                            const mem = getMemoryUsage();
-                            log(`Processed ${processedCount} lines. Memory: ${mem.heapUsed}MB used, ${mem.heapTotal}MB total`);
-                        }
+                        step = 'serialize';
+                        const chunk = toChunk(standardizedObj, result);
+                        countProcessed(result);
                         
-                        callback(null, result);
+                        done(chunk, toCitations(fullObj));
                     }
                 } catch (err) {
                     errorCount++;
-                    logError(`Error processing JSON at line ${processedCount + 1}: ${err.message}`);
+                    const stage = (err && err.stage) || step;
+                    logError(`Error processing JSON at line ${lineNumber} (${stage}): ${err.message}`);
                     
                     if (debugMode && debugLogStream) {
-                        debugLogStream.write(`ERROR at line ${processedCount + 1}: ${err.message}\n`);
+                        debugLogStream.write(`ERROR at line ${lineNumber} (${stage}): ${err.message}\n`);
                         debugLogStream.write(`Line content: ${line.toString()}\n\n`);
                     }
                     
+                    // Keep the raw line so it can be reprocessed later
+                    writeRejected({
+                        source_file: path.basename(inputPath),
+                        line_number: lineNumber,
+                        stage,
+                        error: err.message,
+                        line: line.toString()
+                    });
+                    
                     // Continue processing even if one line fails
-                    callback(null, '');
+                    done(null);
                 }
             }
         });
 
-        // Set up readline interface
-        const rl = readline.createInterface({
-            input: inputStream,
-            crlfDelay: Infinity
-        });
+        // Records from the input, in whichever format it is
+        const records = Readable.from(readRecords(fileStream, inputPath, { format: options.format }));
 
-        // Handle cleanup properly
+        // Handle cleanup properly - an error stops the output without completing it
         function cleanup() {
             if (!isFinished) {
                 isFinished = true;
-                rl.close();
-                if (transformStream) {
-                    transformStream.end();
-                }
+                fileStream.destroy();
                 if (debugLogStream) {
                     debugLogStream.end();
                 }
             }
         }
 
-        // Set up the pipeline
-        rl.on('line', (line) => {
-            transformStream.write(line);
-        });
-
-        rl.on('close', () => {
-            if (transformStream) {
-                transformStream.end();
-            }
-        });
-
         // Use proper pipeline for better error handling
         pipeline(
+            records,
             transformStream,
-            gzipStream,
-            outputStream,
+            output,
             (err) => {
                 if (err) {
-                    logError('Pipeline error:', err.message);
+                    logError(`Error reading ${path.basename(inputPath)}: ${err.message}`);
                     cleanup();
-                    // Make sure the output file is removed if there was an error
-                    try {
-                        fs.unlinkSync(outputPath);
-                    } catch (unlinkErr) {
-                        // Ignore errors when trying to delete the file
+                    // Keep the partial output for resuming if it has a checkpoint, otherwise remove it
+                    if (!fs.existsSync(getCheckpointPath(outputPath))) {
+                        removeCheckpoint(outputPath, rejectedPath || null, citationsPath);
                     }
                     reject(err);
                 } else {
+                    if (debugLogStream) {
+                        debugLogStream.end();
+                    }
                     log(`Finished processing ${processedCount} lines with ${errorCount} errors`);
-                    resolve({ processedCount, errorCount });
+                    if (filter) {
+                        log(`${filteredCount} records did not match the filters`);
+                    }
+                    if (schema) {
+                        log(`${invalidCount} records failed schema validation`);
+                    }
+                    isFinished = true;
+                    resolve({
+                        processedCount,
+                        errorCount,
+                        rejectedPath: output.result.rejectedPath,
+                        citationsPath: output.result.citationsPath,
+                        citationsCount,
+                        filteredCount,
+                        yearForms,
+                        invalidCount,
+                        violationSummary,
+                        rejectedCount,
+                        rejectedByStage,
+                        inputLines: lineNumber,
+                        inputBytes,
+                        inputSha256: inputHash.digest('hex'),
+                        outputBytes: output.result.outputBytes,
+                        outputSha256: output.result.outputSha256,
+                        resumedFromLine: skipLines,
+                        optionsFingerprint,
+                        discardedCheckpoint
+                    });
                 }
             }
         );
-
-        // Error handling for input stream and readline
-        inputStream.on('error', (err) => {
-            logError('Input stream error:', err.message);
-            cleanup();
-            reject(err);
-        });
-
-        rl.on('error', (err) => {
-            logError('Readline error:', err.message);
-            cleanup();
-            reject(err);
-        });
     });
 }
 
 module.exports = {
-    processJsonlFile
+    processJsonlFile,
+    transformRecord,
+    getOptionsFingerprint,
+    getRejectedPath,
+    getCitationsPath,
+    BUILTIN_STAGES,
+    DEFAULT_STAGES,
+    MULTI_PASS_STAGES,
+    // Individual record transforms
+    cleanNullValues,
+    flattenNestedArrays,
+    flattenRemainingNestedArrays,
+    convertDatePartsToISOString,
+    extractDateParts,
+    processDateFields,
+    processRelations,
+    fixBigQueryIssues,
+    replaceKeyDashes,
+    standardizeRecord,
+    normalizeIdentifiers,
+    parseYear,
+    normalizeDoi,
+    normalizeOrcid,
+    normalizeIssn,
+    normalizeIsbn
 };
\ No newline at end of file
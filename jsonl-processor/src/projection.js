@@ -0,0 +1,230 @@
+const fs = require('fs');
+
+/**
+ * Field projection for slimmer outputs
+ *
+ * A projection lists the fields to keep and/or drop as dotted paths into the
+ * processed record, e.g. { "include": ["DOI", "title", "author.family"],
+ * "exclude": ["reference", "*_parts"] }. Paths skip array indexes (author.family
+ * is the family name of every author) and may use dashes or underscores.
+ * A segment may contain * wildcards (matching within one field name), and a
+ * ** segment matches any number of levels, e.g. "**.affiliation".
+ *
+ * With an include list, only the fields it matches are kept (with everything
+ * below them); without one, everything is. Fields an exclude pattern matches are
+ * then dropped, with everything below them. Objects left without any fields are
+ * dropped too. Names match case-insensitively, as in BigQuery.
+ */
+
+// How a field path relates to a pattern
+const NO_MATCH = 0;
+const MAY_MATCH_BELOW = 1; // the pattern could match a field below this one
+const MATCH = 2;
+
+/**
+ * Compiles one path pattern into its segments
+ * @param {string} pattern - e.g. "author.*_orcid"
+ * @returns {Array<RegExp|string>} Regular expressions, with '**' left as is
+ */
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        throw new Error(`Invalid projection path: ${JSON.stringify(pattern)}`);
+    }
+    return pattern.trim().replace(/-/g, '_').split('.').map((segment) => {
+        if (segment === '**') {
+            return segment;
+        }
+        if (!segment) {
+            throw new Error(`Invalid projection path: ${pattern}`);
+        }
+        const source = segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    });
+}
+
+/**
+ * Compares a field path with a compiled pattern
+ * @param {Array<RegExp|string>} pattern - From compilePattern
+ * @param {string[]} segments - The field path, split on dots
+ * @returns {number} MATCH, MAY_MATCH_BELOW or NO_MATCH
+ */
+function comparePath(pattern, segments) {
+    const compare = (i, j) => {
+        if (j === segments.length) {
+            return pattern.slice(i).every(segment => segment === '**') ? MATCH : MAY_MATCH_BELOW;
+        }
+        if (i === pattern.length) {
+            return NO_MATCH;
+        }
+        if (pattern[i] === '**') {
+            // Match no more levels, or one more and try again
+            const skipped = compare(i + 1, j);
+            return skipped === MATCH ? MATCH : Math.max(skipped, compare(i, j + 1));
+        }
+        return pattern[i].test(segments[j]) ? compare(i + 1, j + 1) : NO_MATCH;
+    };
+    return compare(0, 0);
+}
+
+/**
+ * Compiles a projection spec
+ * @param {{include?: string[], exclude?: string[]}} spec - Paths to keep and to drop
+ * @returns {{include: Array, exclude: Array, cache: Map}} The projection, for projectRecord and pruneSchema
+ * @throws {Error} If the spec is not a valid projection
+ */
+function compileProjection(spec) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('A projection must be an object with include and/or exclude paths');
+    }
+    for (const key of Object.keys(spec)) {
+        if (key !== 'include' && key !== 'exclude') {
+            throw new Error(`Unknown projection key: ${key} (expected include, exclude)`);
+        }
+    }
+    const compileList = (key) => {
+        const paths = spec[key] === undefined ? [] : spec[key];
+        if (!Array.isArray(paths)) {
+            throw new Error(`Projection ${key} must be an array of paths`);
+        }
+        return paths.map(compilePattern);
+    };
+    const include = compileList('include');
+    const exclude = compileList('exclude');
+    if (include.length === 0 && exclude.length === 0) {
+        throw new Error('A projection needs at least one include or exclude path');
+    }
+    // Decisions by field path; records repeat the same paths over and over
+    return { include, exclude, cache: new Map() };
+}
+
+/**
+ * Reads and compiles a projection file
+ * @param {string} file - JSON file with include and/or exclude paths
+ * @returns {Object} The compiled projection
+ */
+function loadProjection(file) {
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read projection ${file}: ${err.message}`);
+    }
+    try {
+        return compileProjection(spec);
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Works out what happens to a field
+ * @param {Object} projection - Compiled projection
+ * @param {string} fieldPath - Dotted path of the field
+ * @returns {{include: number, excluded: boolean, excludeBelow: boolean}}
+ *   include is how the path relates to the include patterns (MATCH if there are none);
+ *   excludeBelow tells whether fields below it may be excluded
+ */
+function classifyPath(projection, fieldPath) {
+    let decision = projection.cache.get(fieldPath);
+    if (!decision) {
+        const segments = fieldPath.replace(/-/g, '_').split('.');
+        const best = patterns => patterns.reduce((result, pattern) => Math.max(result, comparePath(pattern, segments)), NO_MATCH);
+        const exclude = best(projection.exclude);
+        decision = {
+            include: projection.include.length > 0 ? best(projection.include) : MATCH,
+            excluded: exclude === MATCH,
+            excludeBelow: exclude === MAY_MATCH_BELOW
+        };
+        projection.cache.set(fieldPath, decision);
+    }
+    return decision;
+}
+
+/**
+ * Projects a value at a path
+ * @param {*} value - The value
+ * @param {string} fieldPath - Its path
+ * @param {boolean} included - Whether the value itself is kept (or only fields below it)
+ * @param {Object} projection - Compiled projection
+ * @returns {*} The projected value, or undefined if nothing of it is kept
+ */
+function projectValue(value, fieldPath, included, projection) {
+    if (Array.isArray(value)) {
+        const items = value
+            .map(item => projectValue(item, fieldPath, included, projection))
+            .filter(item => item !== undefined);
+        return included || items.length > 0 ? items : undefined;
+    }
+    if (value === null || typeof value !== 'object') {
+        // Scalars only survive if included; below a partial match there is nothing to keep
+        return included ? value : undefined;
+    }
+
+    const result = {};
+    let kept = false;
+    for (const key in value) {
+        const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+        const { include, excluded, excludeBelow } = classifyPath(projection, childPath);
+        if (excluded || (!included && include === NO_MATCH)) {
+            continue;
+        }
+        const childIncluded = included || include === MATCH;
+        const child = childIncluded && !excludeBelow
+            ? value[key]
+            : projectValue(value[key], childPath, childIncluded, projection);
+        if (child !== undefined) {
+            result[key] = child;
+            kept = true;
+        }
+    }
+    return included || kept ? result : undefined;
+}
+
+/**
+ * Keeps only the projected fields of a record
+ * Values are shared with the record, not copied.
+ * @param {Object} record - A processed record
+ * @param {Object} projection - Compiled projection (see compileProjection)
+ * @returns {Object} A new record with the projected fields
+ */
+function projectRecord(record, projection) {
+    return projectValue(record, '', false, projection) || {};
+}
+
+/**
+ * Prunes a BigQuery schema to the fields a projection keeps
+ * @param {Array<Object>} fields - BigQuery schema fields
+ * @param {Object} projection - Compiled projection (see compileProjection)
+ * @param {string} [parentPath=''] - Dotted path of the parent RECORD
+ * @param {boolean} [included=false] - Whether the parent RECORD is kept as a whole
+ * @returns {Array<Object>} The pruned fields; RECORDs left without fields are dropped
+ */
+function pruneSchema(fields, projection, parentPath = '', included = false) {
+    const pruned = [];
+    for (const field of fields) {
+        const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+        const { include, excluded } = classifyPath(projection, fieldPath);
+        if (excluded || (!included && include === NO_MATCH)) {
+            continue;
+        }
+        const fieldIncluded = included || include === MATCH;
+        if (!field.fields) {
+            if (fieldIncluded) {
+                pruned.push(field);
+            }
+            continue;
+        }
+        const children = pruneSchema(field.fields, projection, fieldPath, fieldIncluded);
+        if (children.length > 0) {
+            pruned.push({ ...field, fields: children });
+        }
+    }
+    return pruned;
+}
+
+module.exports = {
+    compileProjection,
+    loadProjection,
+    projectRecord,
+    pruneSchema
+};
@@ -0,0 +1,510 @@
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Input readers for processJsonlFile
+ *
+ * Each reader turns a byte stream into an async iterable of record strings,
+ * one JSON document per record, without holding more than one record (plus
+ * a read buffer) in memory:
+ *
+ *   jsonl - line-delimited JSON (.jsonl, .ndjson, optionally .gz)
+ *   json  - a JSON document with an `items` array, like the files in the
+ *           Crossref public data file (.json, optionally .gz). A top-level
+ *           array or a REST API response's `message.items` work as well.
+ *   tar   - a tar archive of json/jsonl files (.tar, .tar.gz, .tgz), such as
+ *           the Crossref annual public data file itself
+ *
+ * The tar reader also yields `{ entry: name }` markers before the records of
+ * each archive member, so rejected records can be traced back to it.
+ */
+
+const FORMATS = ['jsonl', 'json', 'tar'];
+
+// Input file name patterns for each format
+const FORMAT_PATTERNS = {
+    tar: /\.(tar|tar\.gz|tgz)$/i,
+    json: /\.json(\.gz)?$/i,
+    jsonl: /\.(jsonl|ndjson)(\.gz)?$/i
+};
+
+// Paths (as keys from the root) of the arrays whose elements are records in json input
+const ITEMS_PATHS = [[], ['items'], ['message', 'items']].map(itemsPath => JSON.stringify(itemsPath));
+
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Works out the input format from a file name
+ * @param {string} file - Input file name or path
+ * @returns {string|null} 'jsonl', 'json' or 'tar', or null if the file isn't a supported input
+ */
+function detectFormat(file) {
+    const name = path.basename(file);
+    for (const format of ['tar', 'json', 'jsonl']) {
+        if (FORMAT_PATTERNS[format].test(name)) {
+            return format;
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of an input file without its format extension
+ * e.g. 001.jsonl.gz -> 001, 2024.01.json -> 2024.01, snapshot.tar.gz -> snapshot
+ * @param {string} file - Input file name or path
+ * @returns {string} The base name (unchanged if the file isn't a supported input)
+ */
+function getInputBaseName(file) {
+    const name = path.basename(file);
+    const format = detectFormat(name);
+    return format ? name.replace(FORMAT_PATTERNS[format], '') : name;
+}
+
+/**
+ * @param {string} file - Input file name or path
+ * @returns {boolean} Whether the file is compressed with gzip (by its extension)
+ */
+function isGzipped(file) {
+    return /\.(gz|tgz)$/i.test(file);
+}
+
+/**
+ * Reads line-delimited JSON
+ * @param {AsyncIterable<Buffer>} input - Uncompressed input
+ * @yields {string} Each line, without its line break (empty lines included)
+ */
+async function* readJsonLines(input) {
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    for await (const chunk of input) {
+        const lines = (rest + decoder.write(chunk)).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+            yield line.endsWith('\r') ? line.slice(0, -1) : line;
+        }
+    }
+    rest += decoder.end();
+    if (rest) {
+        yield rest;
+    }
+}
+
+/**
+ * Incremental scanner that picks the elements of the items array out of a
+ * JSON document as their raw text. Only the structure above the items is
+ * tracked; the elements themselves are parsed later by the processor.
+ */
+class ItemsScanner {
+    constructor() {
+        // Containers above the current position: { type, path, key, expectKey, isItems }
+        this.stack = [];
+        this.inString = false;
+        this.escaped = false;
+        // Text of the object key being read
+        this.keyText = null;
+        // Whether the next value in the items array starts a new element
+        this.awaitingItem = false;
+        // Element being captured: its text so far and its container depth
+        this.item = null;
+        this.itemStart = 0;
+        this.itemDepth = 0;
+        this.foundItems = false;
+        this.done = false;
+    }
+
+    /**
+     * Scans the next piece of the document
+     * @param {string} text - Next decoded chunk
+     * @returns {string[]} Elements completed in this chunk
+     */
+    write(text) {
+        const items = [];
+        let i = 0;
+        while (i < text.length) {
+            i = this.item !== null ? this._scanItem(text, i, items) : this._scanStructure(text, i);
+        }
+        if (this.item !== null) {
+            this.item.push(text.slice(this.itemStart));
+            this.itemStart = 0;
+        }
+        return items;
+    }
+
+    /**
+     * Checks that the document was complete
+     * @throws {Error} If it ended early or had no items array
+     */
+    end() {
+        if (this.item !== null || this.stack.length > 0 || this.inString) {
+            throw new Error('Unexpected end of JSON input');
+        }
+        if (!this.foundItems) {
+            throw new Error('No items array found in JSON input');
+        }
+    }
+
+    // Reads through an element, returning where it (or the chunk) ends
+    _scanItem(text, i, items) {
+        for (; i < text.length; i++) {
+            const char = text[i];
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                this.itemDepth++;
+            } else if (char === '}' || char === ']' || char === ',') {
+                if (this.itemDepth === 0) {
+                    // End of a bare value: the separator belongs to the items array
+                    this._endItem(text, i, items);
+                    return i;
+                }
+                if (char !== ',' && --this.itemDepth === 0) {
+                    this._endItem(text, i + 1, items);
+                    return i + 1;
+                }
+            }
+        }
+        return i;
+    }
+
+    _endItem(text, end, items) {
+        this.item.push(text.slice(this.itemStart, end));
+        const item = this.item.join('').trim();
+        if (item) {
+            items.push(item);
+        }
+        this.item = null;
+    }
+
+    // Follows the containers above the items, returning where an element starts (or the chunk ends)
+    _scanStructure(text, i) {
+        for (; i < text.length; i++) {
+            const char = text[i];
+            const frame = this.stack[this.stack.length - 1];
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    if (this.keyText !== null) {
+                        frame.key = JSON.parse(this.keyText + '"');
+                        frame.expectKey = false;
+                        this.keyText = null;
+                    }
+                    continue;
+                }
+                if (this.keyText !== null) {
+                    this.keyText += char;
+                }
+                continue;
+            }
+            if (char === ' ' || char === '\n' || char === '\r' || char === '\t') {
+                continue;
+            }
+            if (this.done) {
+                throw new Error(`Unexpected ${char} after the end of the JSON document`);
+            }
+            if (this.awaitingItem && char !== ']') {
+                // First character of the next element
+                this.awaitingItem = false;
+                this.item = [];
+                this.itemStart = i;
+                this.itemDepth = 0;
+                return i;
+            }
+            if (char === '"') {
+                this.inString = true;
+                this.keyText = frame && frame.type === 'object' && frame.expectKey ? '"' : null;
+            } else if (char === '{' || char === '[') {
+                const framePath = frame ? [...frame.path, frame.type === 'object' ? frame.key : '[]'] : [];
+                const isItems = char === '[' && !this.foundItems && ITEMS_PATHS.includes(JSON.stringify(framePath));
+                this.stack.push({ type: char === '{' ? 'object' : 'array', path: framePath, key: null, expectKey: true, isItems });
+                if (isItems) {
+                    this.foundItems = true;
+                    this.awaitingItem = true;
+                }
+            } else if (char === '}' || char === ']') {
+                if (!frame || frame.type !== (char === '}' ? 'object' : 'array')) {
+                    throw new Error(`Unexpected ${char} in JSON input`);
+                }
+                this.stack.pop();
+                this.awaitingItem = false;
+                this.done = this.stack.length === 0;
+            } else if (char === ',' && frame) {
+                frame.expectKey = true;
+                this.awaitingItem = frame.isItems;
+            }
+        }
+        return i;
+    }
+}
+
+/**
+ * Reads the records in the items array of a JSON document
+ * @param {AsyncIterable<Buffer>} input - Uncompressed input
+ * @yields {string} Raw JSON text of each element
+ */
+async function* readJsonItems(input) {
+    const decoder = new StringDecoder('utf8');
+    const scanner = new ItemsScanner();
+    for await (const chunk of input) {
+        yield* scanner.write(decoder.write(chunk));
+    }
+    yield* scanner.write(decoder.end());
+    scanner.end();
+}
+
+/**
+ * Reads exact byte counts from a stream of chunks
+ */
+class ByteReader {
+    /**
+     * @param {AsyncIterable<Buffer>} input - Input chunks
+     */
+    constructor(input) {
+        this.iterator = input[Symbol.asyncIterator]();
+        this.buffer = Buffer.alloc(0);
+        this.ended = false;
+        // Bytes handed out so far
+        this.position = 0;
+    }
+
+    // Makes sure at least `size` bytes are buffered, unless the input ends first
+    async _fill(size) {
+        const chunks = [this.buffer];
+        let length = this.buffer.length;
+        while (length < size && !this.ended) {
+            const { value, done } = await this.iterator.next();
+            if (done) {
+                this.ended = true;
+            } else {
+                chunks.push(value);
+                length += value.length;
+            }
+        }
+        this.buffer = chunks.length > 1 ? Buffer.concat(chunks) : this.buffer;
+    }
+
+    /**
+     * @param {number} size - Number of bytes
+     * @returns {Promise<Buffer>} The next `size` bytes, or fewer at the end of the input
+     */
+    async read(size) {
+        await this._fill(size);
+        const data = this.buffer.subarray(0, size);
+        this.buffer = this.buffer.subarray(data.length);
+        this.position += data.length;
+        return data;
+    }
+
+    /**
+     * Yields the next `size` bytes as they arrive
+     * @param {number} size - Number of bytes
+     * @yields {Buffer}
+     */
+    async* chunks(size) {
+        let remaining = size;
+        while (remaining > 0) {
+            if (this.buffer.length === 0) {
+                await this._fill(1);
+                if (this.buffer.length === 0) {
+                    throw new Error('Unexpected end of tar archive');
+                }
+            }
+            const data = this.buffer.subarray(0, remaining);
+            this.buffer = this.buffer.subarray(data.length);
+            this.position += data.length;
+            remaining -= data.length;
+            yield data;
+        }
+    }
+
+    /**
+     * Discards the next `size` bytes
+     * @param {number} size - Number of bytes
+     */
+    async skip(size) {
+        const chunks = this.chunks(size);
+        while (!(await chunks.next()).done) {
+            // Discarded
+        }
+    }
+
+    /**
+     * Reads (and discards) the rest of the input
+     */
+    async drain() {
+        this.buffer = Buffer.alloc(0);
+        while (!this.ended) {
+            const { done } = await this.iterator.next();
+            this.ended = done;
+        }
+    }
+}
+
+// Text of a NUL-terminated header field
+function headerString(header, start, length) {
+    const field = header.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+// Numeric header field: octal text, or base-256 for large values
+function headerNumber(header, start, length) {
+    const field = header.subarray(start, start + length);
+    if (field[0] & 0x80) {
+        let value = field[0] & 0x7f;
+        for (let i = 1; i < field.length; i++) {
+            value = value * 256 + field[i];
+        }
+        return value;
+    }
+    const text = headerString(header, start, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parses a 512-byte tar header block
+ * @param {Buffer} header - Header block
+ * @returns {{name: string, size: number, type: string}|null} null for an end-of-archive block
+ */
+function parseTarHeader(header) {
+    if (header.every(byte => byte === 0)) {
+        return null;
+    }
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        // The checksum field itself counts as spaces
+        checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    if (checksum !== headerNumber(header, 148, 8)) {
+        throw new Error('Invalid tar header checksum (not a tar archive?)');
+    }
+    const name = headerString(header, 0, 100);
+    const prefix = headerString(header, 257, 6) === 'ustar' ? headerString(header, 345, 155) : '';
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        size: headerNumber(header, 124, 12),
+        type: String.fromCharCode(header[156] || 0x30)
+    };
+}
+
+// Reads the path from pax extended header records ("LENGTH key=value\n")
+function parsePaxPath(data) {
+    let offset = 0;
+    let paxPath = null;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.subarray(offset, space).toString(), 10);
+        if (space === -1 || !(length > 0)) {
+            break;
+        }
+        const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+        const equals = record.indexOf('=');
+        if (record.slice(0, equals) === 'path') {
+            paxPath = record.slice(equals + 1);
+        }
+        offset += length;
+    }
+    return paxPath;
+}
+
+/**
+ * Reads the records of every json/jsonl member of a tar archive, in archive order
+ * Other members (directories, READMEs, ...) are skipped.
+ * @param {AsyncIterable<Buffer>} input - Uncompressed archive
+ * @yields {string|{entry: string}} An entry marker, then the records of that member
+ */
+async function* readTar(input) {
+    const reader = new ByteReader(input);
+    let longName = null;
+    for (;;) {
+        const block = await reader.read(TAR_BLOCK_SIZE);
+        if (block.length === 0) {
+            // Archive without end-of-archive blocks
+            break;
+        }
+        if (block.length < TAR_BLOCK_SIZE) {
+            throw new Error('Unexpected end of tar archive');
+        }
+        const header = parseTarHeader(block);
+        if (!header) {
+            break;
+        }
+        const padding = (TAR_BLOCK_SIZE - (header.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+
+        // Long names come in a header of their own, before the member they belong to
+        if (header.type === 'L' || header.type === 'x') {
+            const data = await reader.read(header.size);
+            longName = header.type === 'L' ? headerString(data, 0, data.length) : parsePaxPath(data) || longName;
+            await reader.skip(padding);
+            continue;
+        }
+        const name = longName || header.name;
+        longName = null;
+
+        const format = detectFormat(name);
+        const isFile = header.type === '0' || header.type === '7';
+        if (!isFile || !format || format === 'tar') {
+            await reader.skip(header.size + padding);
+            continue;
+        }
+
+        yield { entry: name };
+        const end = reader.position + header.size;
+        let data = Readable.from(reader.chunks(header.size), { objectMode: false });
+        if (isGzipped(name)) {
+            data = data.pipe(zlib.createGunzip());
+        }
+        yield* format === 'json' ? readJsonItems(data) : readJsonLines(data);
+        // Anything the member's reader left unread, such as data after its gzip stream
+        await reader.skip(end - reader.position + padding);
+    }
+    // Read trailing blocks too, so the whole file is hashed
+    await reader.drain();
+}
+
+/**
+ * Reads the records of an input file in any supported format
+ * @param {Readable} input - Raw (possibly compressed) file contents
+ * @param {string} file - File name, used to detect the format and compression
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'jsonl', 'json' or 'tar' instead of detecting it
+ * @returns {AsyncIterable<string|{entry: string}>} Record strings (and tar entry markers)
+ */
+function readRecords(input, file, options = {}) {
+    const format = options.format || detectFormat(file) || 'jsonl';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown input format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+    const data = isGzipped(file) ? input.pipe(zlib.createGunzip()) : input;
+    if (data !== input) {
+        // pipe() doesn't forward errors from the file to the gunzip stream
+        input.on('error', err => data.destroy(err));
+    }
+    if (format === 'tar') {
+        return readTar(data);
+    }
+    return format === 'json' ? readJsonItems(data) : readJsonLines(data);
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    getInputBaseName,
+    readRecords,
+    readJsonLines,
+    readJsonItems,
+    readTar
+};
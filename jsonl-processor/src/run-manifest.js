@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { writeJsonAtomic } = require('./checkpoint');
+
+/**
+ * Machine-readable record of a process-all run
+ *
+ * Lists every input file handled in the run with its size, checksums, line
+ * and record counts, rejected records by stage and duration, plus run-level
+ * totals, the git commit and the options used. The manifest is rewritten
+ * after every file, so an interrupted run still leaves one behind.
+ *
+ * Files a resumed run skips because an earlier run completed them are listed
+ * as skipped, with their entries carried forward, so the manifest still
+ * describes the whole dataset.
+ */
+
+/**
+ * Current git commit of the repository, if available
+ * @param {string} [cwd=__dirname] - Directory inside the repository
+ * @returns {{commit: string|null, dirty: boolean|null}}
+ */
+function getGitInfo(cwd = __dirname) {
+    try {
+        const commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd, stdio: ['ignore', 'pipe', 'ignore'] })
+            .toString().trim();
+        const status = execFileSync('git', ['status', '--porcelain', '--untracked-files=no'], { cwd, stdio: ['ignore', 'pipe', 'ignore'] })
+            .toString().trim();
+        return { commit, dirty: status.length > 0 };
+    } catch {
+        // Not a git checkout, or git isn't installed
+        return { commit: null, dirty: null };
+    }
+}
+
+/**
+ * Reads the file entries of an earlier run manifest
+ * @param {string} manifestPath - Path to the manifest
+ * @returns {Map<string, Object>} Completed or skipped entries by input file name; empty if there is no manifest
+ */
+function loadRunManifestEntries(manifestPath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch {
+        return new Map();
+    }
+    const entries = Array.isArray(data.files) ? data.files : [];
+    return new Map(entries
+        .filter(entry => entry && (entry.status === 'completed' || entry.status === 'skipped'))
+        .map(entry => [entry.file, entry]));
+}
+
+// Adds the counts in `from` to `into`
+function addCounts(into, from = {}) {
+    for (const [key, count] of Object.entries(from)) {
+        into[key] = (into[key] || 0) + count;
+    }
+}
+
+class RunManifest {
+    /**
+     * @param {string|string[]} manifestPaths - Where the manifest is written
+     * @param {Object} options - Options the run was started with
+     */
+    constructor(manifestPaths, options) {
+        this.manifestPaths = [].concat(manifestPaths);
+        this.data = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            elapsedSeconds: null,
+            interrupted: false,
+            git: getGitInfo(),
+            node: process.version,
+            options,
+            totals: null,
+            files: []
+        };
+    }
+
+    /**
+     * Adds the outcome of one input file and rewrites the manifest
+     * @param {string} file - Input file name
+     * @param {number} durationSeconds - Time spent on the file
+     * @param {Object|null} result - processJsonlFile result plus its outputPath, null if it failed
+     * @param {Error} [error] - Why the file failed
+     */
+    addFile(file, durationSeconds, result, error = null) {
+        const entry = {
+            file,
+            status: result ? 'completed' : 'failed',
+            durationSeconds
+        };
+        if (result) {
+            Object.assign(entry, {
+                inputBytes: result.inputBytes,
+                inputSha256: result.inputSha256,
+                inputLines: result.inputLines,
+                outputRecords: result.processedCount,
+                filteredRecords: result.filteredCount,
+                rejectedRecords: result.rejectedCount,
+                errorCategories: result.rejectedByStage,
+                invalidRecords: result.invalidCount,
+                schemaViolations: result.violationSummary,
+                output: result.outputPath ? path.basename(result.outputPath) : null,
+                outputBytes: result.outputBytes,
+                outputSha256: result.outputSha256,
+                rejected: result.rejectedPath ? path.basename(result.rejectedPath) : null,
+                citations: result.citationsPath ? path.basename(result.citationsPath) : null,
+                citationRecords: result.citationsCount,
+                yearForms: result.yearForms,
+                resumedFromLine: result.resumedFromLine
+            });
+        } else if (error) {
+            entry.error = error.message;
+        }
+        this.data.files.push(entry);
+        this.write();
+    }
+
+    /**
+     * Adds a file skipped because an earlier run completed it
+     * Its entry from the earlier run manifest is carried forward when it still
+     * describes the same output; otherwise the completed.json entry is used.
+     * The manifest is written with the next file (or at the end of the run).
+     * @param {string} file - Input file name
+     * @param {Object} completed - The file's entry in completed.json
+     * @param {Object} [previous] - The file's entry in the earlier run manifest
+     */
+    addSkippedFile(file, completed, previous = null) {
+        const earlier = previous && previous.output === completed.output && previous.outputSha256 === completed.outputSha256
+            ? previous
+            : {
+                outputRecords: completed.records,
+                filteredRecords: completed.filtered,
+                invalidRecords: completed.invalid,
+                output: completed.output,
+                outputBytes: completed.outputBytes,
+                outputSha256: completed.outputSha256,
+                rejected: completed.rejected,
+                citations: completed.citations
+            };
+        // Status and duration are this run's
+        const entry = { file, status: 'skipped', durationSeconds: 0 };
+        this.data.files.push(Object.assign({ ...entry }, earlier, entry, { completedAt: completed.completedAt }));
+    }
+
+    /**
+     * Totals over the files added so far
+     * Skipped files count towards the record and byte totals, so those cover
+     * the whole dataset and not just this run.
+     * @returns {Object}
+     */
+    getTotals() {
+        const totals = {
+            files: this.data.files.length,
+            completed: 0,
+            skipped: 0,
+            failed: 0,
+            inputBytes: 0,
+            inputLines: 0,
+            outputRecords: 0,
+            filteredRecords: 0,
+            rejectedRecords: 0,
+            invalidRecords: 0,
+            errorCategories: {},
+            yearForms: {},
+            // Sum of per-file durations; files run in parallel, see elapsedSeconds for wall time
+            durationSeconds: 0
+        };
+        for (const entry of this.data.files) {
+            totals.durationSeconds += entry.durationSeconds;
+            if (entry.status === 'failed') {
+                totals.failed++;
+                continue;
+            }
+            totals[entry.status]++;
+            // Entries carried forward from completed.json lack the input counts
+            totals.inputBytes += entry.inputBytes || 0;
+            totals.inputLines += entry.inputLines || 0;
+            totals.outputRecords += entry.outputRecords || 0;
+            totals.filteredRecords += entry.filteredRecords || 0;
+            totals.rejectedRecords += entry.rejectedRecords || 0;
+            totals.invalidRecords += entry.invalidRecords || 0;
+            addCounts(totals.errorCategories, entry.errorCategories);
+            addCounts(totals.yearForms, entry.yearForms);
+        }
+        totals.durationSeconds = Math.round(totals.durationSeconds * 100) / 100;
+        return totals;
+    }
+
+    /**
+     * Marks the run as finished and writes the final manifest
+     * @param {boolean} [interrupted=false] - Whether the run was stopped early
+     */
+    finish(interrupted = false) {
+        const finishedAt = new Date();
+        this.data.finishedAt = finishedAt.toISOString();
+        this.data.elapsedSeconds = Math.round((finishedAt - new Date(this.data.startedAt)) / 10) / 100;
+        this.data.interrupted = interrupted;
+        this.write();
+    }
+
+    write() {
+        this.data.totals = this.getTotals();
+        for (const manifestPath of this.manifestPaths) {
+            writeJsonAtomic(manifestPath, this.data);
+        }
+    }
+}
+
+module.exports = {
+    RunManifest,
+    getGitInfo,
+    loadRunManifestEntries
+};
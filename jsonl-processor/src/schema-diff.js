@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { SchemaInferrer, inferFileSchema } = require('./schema-inference');
+
+/**
+ * Schema diff and drift report
+ *
+ * Compares two BigQuery schemas, or a schema against newly processed data,
+ * and lists added, removed, type-changed and mode-changed fields by their
+ * full dotted path.
+ *
+ * Usage:
+ *   node src/schema-diff.js OLD_SCHEMA NEW_SCHEMA [--format=text|json|markdown] [--output=FILE]
+ *   node src/schema-diff.js SCHEMA --data FILE... [--format=...] [--output=FILE]
+ */
+
+/**
+ * Flattens schema fields into a map of dotted path -> field
+ * Paths are keyed in lowercase since BigQuery names are case-insensitive
+ * @param {Array<Object>} fields - BigQuery schema fields
+ * @param {string} [parentPath=''] - Dotted path of the parent RECORD
+ * @param {Map} [result=new Map()] - Accumulated fields
+ * @returns {Map<string, {path: string, type: string, mode: string}>}
+ */
+function flattenSchema(fields, parentPath = '', result = new Map()) {
+    for (const field of fields) {
+        const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+        result.set(fieldPath.toLowerCase(), {
+            path: fieldPath,
+            type: (field.type || 'STRING').toUpperCase(),
+            mode: (field.mode || 'NULLABLE').toUpperCase()
+        });
+        if (field.fields) {
+            flattenSchema(field.fields, fieldPath, result);
+        }
+    }
+    return result;
+}
+
+/**
+ * Compares two BigQuery schemas
+ * Fields nested under an added or removed RECORD are listed individually.
+ * @param {Array<Object>} oldSchema - The previous schema
+ * @param {Array<Object>} newSchema - The new schema
+ * @returns {{added: Array, removed: Array, typeChanged: Array, modeChanged: Array}}
+ *   added/removed entries are {path, type, mode};
+ *   typeChanged/modeChanged entries are {path, from, to}
+ */
+function diffSchemas(oldSchema, newSchema) {
+    const oldFields = flattenSchema(oldSchema);
+    const newFields = flattenSchema(newSchema);
+    const diff = { added: [], removed: [], typeChanged: [], modeChanged: [] };
+
+    for (const [key, field] of newFields) {
+        const oldField = oldFields.get(key);
+        if (!oldField) {
+            diff.added.push(field);
+            continue;
+        }
+        if (oldField.type !== field.type) {
+            diff.typeChanged.push({ path: field.path, from: oldField.type, to: field.type });
+        }
+        if (oldField.mode !== field.mode) {
+            diff.modeChanged.push({ path: field.path, from: oldField.mode, to: field.mode });
+        }
+    }
+    for (const [key, field] of oldFields) {
+        if (!newFields.has(key)) {
+            diff.removed.push(field);
+        }
+    }
+
+    for (const list of Object.values(diff)) {
+        list.sort((a, b) => a.path.toLowerCase().localeCompare(b.path.toLowerCase()));
+    }
+    return diff;
+}
+
+/**
+ * Checks whether a diff contains any changes
+ * @param {Object} diff - Result of diffSchemas
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+    return Object.values(diff).some(list => list.length > 0);
+}
+
+/**
+ * Formats a diff as plain text, one line per change
+ * @param {Object} diff - Result of diffSchemas
+ * @returns {string}
+ */
+function formatText(diff) {
+    if (!hasChanges(diff)) {
+        return 'No schema changes\n';
+    }
+    const lines = [
+        ...diff.added.map(f => `+ ${f.path} (${f.type}, ${f.mode})`),
+        ...diff.removed.map(f => `- ${f.path} (${f.type}, ${f.mode})`),
+        ...diff.typeChanged.map(c => `~ ${c.path}: type ${c.from} -> ${c.to}`),
+        ...diff.modeChanged.map(c => `~ ${c.path}: mode ${c.from} -> ${c.to}`)
+    ];
+    lines.push('', `${diff.added.length} added, ${diff.removed.length} removed, ` +
+        `${diff.typeChanged.length} type changed, ${diff.modeChanged.length} mode changed`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a diff as Markdown tables for release notes
+ * @param {Object} diff - Result of diffSchemas
+ * @param {Object} [labels={}] - Names of the compared sides
+ * @param {string} [labels.from] - Label for the old schema
+ * @param {string} [labels.to] - Label for the new schema
+ * @returns {string}
+ */
+function formatMarkdown(diff, labels = {}) {
+    const title = labels.from && labels.to
+        ? `## Schema changes: \`${labels.from}\` → \`${labels.to}\``
+        : '## Schema changes';
+    if (!hasChanges(diff)) {
+        return `${title}\n\nNo schema changes.\n`;
+    }
+
+    const sections = [title];
+    const table = (heading, columns, rows) => {
+        if (rows.length === 0) return;
+        sections.push(
+            `### ${heading} (${rows.length})`,
+            [
+                `| ${columns.join(' | ')} |`,
+                `| ${columns.map(() => '---').join(' | ')} |`,
+                ...rows.map(row => `| ${row.join(' | ')} |`)
+            ].join('\n')
+        );
+    };
+    table('Added fields', ['Field', 'Type', 'Mode'], diff.added.map(f => [`\`${f.path}\``, f.type, f.mode]));
+    table('Removed fields', ['Field', 'Type', 'Mode'], diff.removed.map(f => [`\`${f.path}\``, f.type, f.mode]));
+    table('Type changes', ['Field', 'Old type', 'New type'], diff.typeChanged.map(c => [`\`${c.path}\``, c.from, c.to]));
+    table('Mode changes', ['Field', 'Old mode', 'New mode'], diff.modeChanged.map(c => [`\`${c.path}\``, c.from, c.to]));
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Formats a diff in the requested output format
+ * @param {Object} diff - Result of diffSchemas
+ * @param {string} format - 'text', 'json' or 'markdown'
+ * @param {Object} [labels={}] - Names of the compared sides (Markdown and JSON)
+ * @returns {string}
+ */
+function formatDiff(diff, format, labels = {}) {
+    switch (format) {
+        case 'text':
+            return formatText(diff);
+        case 'json':
+            return JSON.stringify({ ...labels, ...diff }, null, 2) + '\n';
+        case 'markdown':
+        case 'md':
+            return formatMarkdown(diff, labels);
+        default:
+            throw new Error(`Unknown format: ${format} (expected text, json or markdown)`);
+    }
+}
+
+// Options that take a value, as --flag=value or --flag value
+const VALUE_FLAGS = {
+    '--format': 'format',
+    '--output': 'output'
+};
+
+const USAGE = `Usage: node src/schema-diff.js OLD_SCHEMA NEW_SCHEMA [--format=text|json|markdown] [--output=FILE]
+       node src/schema-diff.js SCHEMA --data FILE... [--format=text|json|markdown] [--output=FILE]`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{format: string, output: string|null, data: boolean, files: string[]}}
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArgs(argv) {
+    const options = { format: 'text', output: null, data: false, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`${flag} needs a value`);
+            }
+            options[VALUE_FLAGS[flag]] = value;
+        } else if (arg === '--data') {
+            options.data = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+// Main process
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const [schemaFile, ...rest] = options.files;
+
+    try {
+        if (!schemaFile || rest.length === 0) {
+            console.error(USAGE);
+            process.exit(1);
+        }
+
+        const oldSchema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+        let newSchema;
+        let newLabel;
+        if (options.data) {
+            // Compare the schema against what the processed data actually contains
+            const inferrer = new SchemaInferrer();
+            for (const file of rest) {
+                console.error(`Inferring schema from ${file}...`);
+                await inferFileSchema(file, inferrer);
+            }
+            newSchema = inferrer.toSchema();
+            newLabel = rest.length === 1 ? path.basename(rest[0]) : `${rest.length} data files`;
+        } else {
+            newSchema = JSON.parse(fs.readFileSync(rest[0], 'utf8'));
+            newLabel = path.basename(rest[0]);
+        }
+
+        const diff = diffSchemas(oldSchema, newSchema);
+        const report = formatDiff(diff, options.format, { from: path.basename(schemaFile), to: newLabel });
+
+        if (options.output) {
+            fs.writeFileSync(options.output, report);
+            console.error(`Report saved to: ${options.output}`);
+        } else {
+            process.stdout.write(report);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    diffSchemas,
+    flattenSchema,
+    formatDiff,
+    hasChanges,
+    parseArgs
+};
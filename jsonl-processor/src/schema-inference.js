@@ -0,0 +1,362 @@
+/**
+ * Native BigQuery schema inference for processed records
+ *
+ * Replaces the external generate-schema / bigquery-schema-generator tools.
+ * Records are fed one at a time and merged into a single field tree, so a
+ * schema can be built across any number of files without temp copies.
+ *
+ * Types follow bigquery-schema-generator: strings that look like dates,
+ * timestamps, times, integers, floats or booleans get those types, since
+ * BigQuery coerces them on load. Conflicting types are widened
+ * (INTEGER + FLOAT -> FLOAT, any other scalar mix -> STRING), RECORD beats
+ * a scalar, and REPEATED beats NULLABLE which beats REQUIRED.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+const DATE_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{1,2}-\d{1,2}[T ]\d{1,2}:\d{1,2}:\d{1,2}(\.\d{1,6})? *(([+-]\d{1,2}(:\d{1,2})?)|Z|UTC)?$/;
+const TIME_PATTERN = /^\d{1,2}:\d{1,2}:\d{1,2}(\.\d{1,6})?$/;
+const INTEGER_PATTERN = /^[-]?\d+$/;
+const FLOAT_PATTERN = /^[-]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+
+// Placeholder type for fields only ever seen as null or empty arrays
+const NULL_TYPE = 'NULL';
+
+// Largest integer BigQuery's INT64 can hold, as a string for range checks
+const MAX_INT64 = '9223372036854775807';
+
+/**
+ * Checks whether an integer string fits in BigQuery's INT64
+ * @param {string} value - An integer string
+ * @returns {boolean}
+ */
+function fitsInt64(value) {
+    const digits = value.replace(/^-/, '').replace(/^0+(?=\d)/, '');
+    return digits.length < MAX_INT64.length ||
+        (digits.length === MAX_INT64.length && digits <= MAX_INT64);
+}
+
+/**
+ * Infers the BigQuery type of a scalar JSON value
+ * @param {string|number|boolean} value - The value
+ * @returns {string} The BigQuery type
+ */
+function inferScalarType(value) {
+    if (typeof value === 'boolean') {
+        return 'BOOLEAN';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && Number.isSafeInteger(value) ? 'INTEGER' : 'FLOAT';
+    }
+    if (typeof value === 'string') {
+        if (INTEGER_PATTERN.test(value)) return fitsInt64(value) ? 'INTEGER' : 'FLOAT';
+        if (FLOAT_PATTERN.test(value)) return 'FLOAT';
+        if (DATE_PATTERN.test(value)) return 'DATE';
+        if (TIMESTAMP_PATTERN.test(value)) return 'TIMESTAMP';
+        if (TIME_PATTERN.test(value)) return 'TIME';
+        if (value === 'true' || value === 'false') return 'BOOLEAN';
+    }
+    return 'STRING';
+}
+
+/**
+ * Widens two scalar types to one that can hold both
+ * @param {string} a - First BigQuery type
+ * @param {string} b - Second BigQuery type
+ * @returns {string} The widened type
+ */
+function widenScalarTypes(a, b) {
+    if (a === b) return a;
+    if (a === NULL_TYPE) return b;
+    if (b === NULL_TYPE) return a;
+    const numeric = ['INTEGER', 'FLOAT'];
+    if (numeric.includes(a) && numeric.includes(b)) return 'FLOAT';
+    return 'STRING';
+}
+
+/**
+ * Accumulates a BigQuery schema from records
+ */
+class SchemaInferrer {
+    constructor() {
+        // Top-level fields keyed by lowercased name (BigQuery names are case-insensitive)
+        this.fields = new Map();
+        this.recordCount = 0;
+        // Type and mode conflicts with how they were resolved, e.g.
+        // { path: 'issue', types: 'INTEGER vs STRING', resolution: 'widened to STRING' }
+        this.conflicts = [];
+        this._conflictKeys = new Set();
+    }
+
+    /**
+     * Adds one record to the schema
+     * @param {Object} record - A processed record
+     */
+    addRecord(record) {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error('Schema inference expects each record to be a JSON object');
+        }
+        this.recordCount++;
+        this._addObject(this.fields, record, '');
+    }
+
+    /**
+     * Seeds the inferrer with an existing BigQuery schema
+     * Fields are merged with the same widening rules as record values
+     * @param {Array<Object>} schema - BigQuery schema fields
+     */
+    addSchema(schema) {
+        this._addSchemaFields(this.fields, schema, '');
+    }
+
+    /**
+     * Returns the inferred schema in schema.json format
+     * Fields are sorted by name; RECORDs with no known fields are dropped,
+     * and fields only seen as null are kept as NULLABLE STRING.
+     * @returns {Array<Object>} BigQuery schema fields
+     */
+    toSchema() {
+        return this._toSchemaFields(this.fields);
+    }
+
+    _getNode(fields, name) {
+        const key = name.toLowerCase();
+        let node = fields.get(key);
+        if (!node) {
+            node = { name, type: NULL_TYPE, mode: null, fields: null };
+            fields.set(key, node);
+        }
+        return node;
+    }
+
+    _addObject(fields, obj, parentPath) {
+        for (const key of Object.keys(obj)) {
+            const fieldPath = parentPath ? `${parentPath}.${key}` : key;
+            const node = this._getNode(fields, key);
+            this._addValue(node, obj[key], fieldPath);
+        }
+    }
+
+    _addValue(node, value, fieldPath) {
+        if (value === null || value === undefined) {
+            // Keep the field, type is decided by other values
+            return;
+        }
+        if (Array.isArray(value)) {
+            this._setMode(node, 'REPEATED', fieldPath);
+            for (const item of value) {
+                if (item === null) continue;
+                if (Array.isArray(item)) {
+                    this._conflict(fieldPath, 'nested array', 'BigQuery does not support arrays of arrays');
+                    this._setType(node, 'STRING', fieldPath);
+                    continue;
+                }
+                this._addItem(node, item, fieldPath);
+            }
+            return;
+        }
+        this._setMode(node, 'NULLABLE', fieldPath);
+        this._addItem(node, value, fieldPath);
+    }
+
+    _addItem(node, item, fieldPath) {
+        if (typeof item === 'object') {
+            this._setType(node, 'RECORD', fieldPath);
+            if (node.type === 'RECORD') {
+                this._addObject(node.fields, item, fieldPath);
+            }
+        } else {
+            this._setType(node, inferScalarType(item), fieldPath);
+        }
+    }
+
+    _setMode(node, mode, fieldPath) {
+        if (node.mode === null || node.mode === mode) {
+            node.mode = mode;
+            return;
+        }
+        // REQUIRED from a seeded schema relaxes to NULLABLE, anything vs REPEATED stays REPEATED
+        const merged = mode === 'REPEATED' || node.mode === 'REPEATED' ? 'REPEATED' : 'NULLABLE';
+        this._conflict(fieldPath, `${node.mode} vs ${mode}`, `using ${merged}`);
+        node.mode = merged;
+    }
+
+    _setType(node, type, fieldPath) {
+        if (node.type === type) {
+            return;
+        }
+        if (node.type === NULL_TYPE) {
+            node.type = type;
+            if (type === 'RECORD') {
+                node.fields = new Map();
+            }
+            return;
+        }
+        if (node.type === 'RECORD' || type === 'RECORD') {
+            // A RECORD can't be widened to a scalar; keep the RECORD
+            this._conflict(fieldPath, `${node.type} vs ${type}`, 'keeping RECORD');
+            if (type === 'RECORD') {
+                node.type = 'RECORD';
+                node.fields = new Map();
+            }
+            return;
+        }
+        const widened = widenScalarTypes(node.type, type);
+        if (widened !== node.type) {
+            this._conflict(fieldPath, `${node.type} vs ${type}`, `widened to ${widened}`);
+            node.type = widened;
+        }
+    }
+
+    _conflict(fieldPath, types, resolution) {
+        // Report each conflict once, not once per record
+        const key = `${fieldPath} ${types}`;
+        if (this._conflictKeys.has(key)) {
+            return;
+        }
+        this._conflictKeys.add(key);
+        this.conflicts.push({ path: fieldPath, types, resolution });
+    }
+
+    _addSchemaFields(fields, schemaFields, parentPath) {
+        for (const field of schemaFields) {
+            const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+            const node = this._getNode(fields, field.name);
+            const type = (field.type || 'STRING').toUpperCase();
+            this._setMode(node, (field.mode || 'NULLABLE').toUpperCase(), fieldPath);
+            if (type === 'RECORD' || type === 'STRUCT') {
+                this._setType(node, 'RECORD', fieldPath);
+                if (node.type === 'RECORD') {
+                    this._addSchemaFields(node.fields, field.fields || [], fieldPath);
+                }
+            } else {
+                this._setType(node, type, fieldPath);
+            }
+        }
+    }
+
+    _toSchemaFields(fields) {
+        const result = [];
+        for (const node of fields.values()) {
+            const field = {};
+            if (node.type === 'RECORD') {
+                const children = this._toSchemaFields(node.fields);
+                if (children.length === 0) {
+                    // BigQuery rejects RECORDs without fields
+                    continue;
+                }
+                field.fields = children;
+            }
+            field.mode = node.mode || 'NULLABLE';
+            field.name = node.name;
+            field.type = node.type === NULL_TYPE ? 'STRING' : node.type;
+            result.push(field);
+        }
+        return result.sort((a, b) => {
+            const nameA = a.name.toLowerCase();
+            const nameB = b.name.toLowerCase();
+            return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+        });
+    }
+}
+
+/**
+ * Recursively merges two BigQuery schemas
+ * Nested RECORD fields are unioned and conflicting types are widened with
+ * the same rules as inference. The base schema's field names win on case
+ * differences; the result is sorted by name.
+ * @param {Array<Object>} base - The accumulated schema
+ * @param {Array<Object>} incoming - The schema to merge in
+ * @param {Object} [options={}] - Additional options
+ * @param {string} [options.source] - Where the incoming schema came from, added to each conflict
+ * @returns {{schema: Array<Object>, conflicts: Array<{path: string, types: string, resolution: string, source?: string}>}}
+ */
+function mergeSchemas(base, incoming, options = {}) {
+    const inferrer = new SchemaInferrer();
+    inferrer.addSchema(base);
+    // Only conflicts between the two schemas matter, not within the base
+    const baseConflicts = inferrer.conflicts.length;
+    inferrer.addSchema(incoming);
+
+    const schema = inferrer.toSchema();
+    relaxOneSidedRequired(schema, base, incoming, '', inferrer);
+
+    const conflicts = inferrer.conflicts.slice(baseConflicts)
+        .map(conflict => (options.source ? { ...conflict, source: options.source } : conflict));
+    return { schema, conflicts };
+}
+
+/**
+ * Relaxes REQUIRED fields that only one of the merged schemas has to NULLABLE,
+ * since rows described by the other schema won't contain them
+ * @param {Array<Object>} fields - The merged schema fields (modified in place)
+ * @param {Array<Object>} baseFields - The matching base schema fields
+ * @param {Array<Object>} incomingFields - The matching incoming schema fields
+ * @param {string} parentPath - Dotted path of the parent RECORD
+ * @param {SchemaInferrer} inferrer - Receives the resulting conflicts
+ */
+function relaxOneSidedRequired(fields, baseFields, incomingFields, parentPath, inferrer) {
+    const find = (list, name) => list.find(field => field.name.toLowerCase() === name.toLowerCase());
+    for (const field of fields) {
+        const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+        const baseField = find(baseFields, field.name);
+        const incomingField = find(incomingFields, field.name);
+        if (field.mode === 'REQUIRED' && (!baseField || !incomingField)) {
+            inferrer._conflict(fieldPath, 'REQUIRED vs missing', 'using NULLABLE');
+            field.mode = 'NULLABLE';
+        }
+        if (field.fields) {
+            relaxOneSidedRequired(
+                field.fields,
+                (baseField && baseField.fields) || [],
+                (incomingField && incomingField.fields) || [],
+                fieldPath,
+                inferrer
+            );
+        }
+    }
+}
+
+/**
+ * Streams a processed JSONL file (optionally gzipped) line by line into an inferrer
+ * Invalid JSON lines are counted and skipped
+ * @param {string} inputFile - Path to the file
+ * @param {SchemaInferrer} inferrer - Receives each record
+ * @returns {Promise<{linesProcessed: number, invalidLines: number}>}
+ */
+function inferFileSchema(inputFile, inferrer) {
+    return new Promise((resolve, reject) => {
+        const input = fs.createReadStream(inputFile);
+        const stream = inputFile.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input;
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        let linesProcessed = 0;
+        let invalidLines = 0;
+
+        rl.on('line', (line) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                inferrer.addRecord(JSON.parse(line));
+                linesProcessed++;
+            } catch (e) {
+                invalidLines++;
+            }
+        });
+
+        rl.on('close', () => resolve({ linesProcessed, invalidLines }));
+        input.on('error', reject);
+        stream.on('error', reject);
+    });
+}
+
+module.exports = {
+    SchemaInferrer,
+    mergeSchemas,
+    inferFileSchema,
+    inferScalarType,
+    widenScalarTypes
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+
+/**
+ * Validates processed records against a BigQuery schema (schema.json)
+ *
+ * Catches the problems that otherwise only show up when `bq load` fails:
+ * unknown fields, wrong types, REPEATED/NULLABLE/REQUIRED mode violations
+ * and invalid DATE strings. Scalar coercions that BigQuery performs itself
+ * (e.g. "123" into an INTEGER column) are accepted.
+ */
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const FLOAT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Indexes schema fields by lowercased name (BigQuery names are case-insensitive)
+ * @param {Array<Object>} fields - BigQuery schema fields
+ * @returns {Map<string, Object>} Compiled fields, RECORDs with their own `children` index
+ */
+function compileFields(fields) {
+    const index = new Map();
+    for (const field of fields) {
+        const compiled = {
+            name: field.name,
+            type: (field.type || 'STRING').toUpperCase(),
+            mode: (field.mode || 'NULLABLE').toUpperCase()
+        };
+        if (compiled.type === 'RECORD' || compiled.type === 'STRUCT') {
+            compiled.type = 'RECORD';
+            compiled.children = compileFields(field.fields || []);
+        }
+        index.set(field.name.toLowerCase(), compiled);
+    }
+    return index;
+}
+
+/**
+ * Loads and compiles a schema for validation
+ * @param {string|Array<Object>} schema - Path to schema.json or the parsed schema
+ * @returns {Map<string, Object>} The compiled schema
+ */
+function loadSchema(schema) {
+    const fields = typeof schema === 'string'
+        ? JSON.parse(fs.readFileSync(schema, 'utf8'))
+        : schema;
+    if (!Array.isArray(fields)) {
+        throw new Error('Schema must be an array of BigQuery field definitions');
+    }
+    return compileFields(fields);
+}
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - The date string
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return false;
+    }
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    const day = parseInt(match[3], 10);
+    if (year < 1 || month < 1 || month > 12 || day < 1) {
+        return false;
+    }
+    // Day 0 of the next month is the last day of this month
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return day <= daysInMonth;
+}
+
+/**
+ * Checks a scalar value against a BigQuery type
+ * @param {*} value - The value to check
+ * @param {string} type - The BigQuery type
+ * @returns {string|null} A description of the problem, or null if valid
+ */
+function checkScalar(value, type) {
+    switch (type) {
+        case 'STRING':
+            return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean'
+                ? null : `expected STRING, got ${describe(value)}`;
+        case 'INTEGER':
+        case 'INT64':
+            if (typeof value === 'number') {
+                return Number.isInteger(value) ? null : `expected INTEGER, got ${value}`;
+            }
+            return typeof value === 'string' && INTEGER_PATTERN.test(value)
+                ? null : `expected INTEGER, got ${describe(value)}`;
+        case 'FLOAT':
+        case 'FLOAT64':
+        case 'NUMERIC':
+        case 'BIGNUMERIC':
+            if (typeof value === 'number') {
+                return Number.isFinite(value) ? null : `expected ${type}, got ${value}`;
+            }
+            return typeof value === 'string' && FLOAT_PATTERN.test(value)
+                ? null : `expected ${type}, got ${describe(value)}`;
+        case 'BOOLEAN':
+        case 'BOOL':
+            return typeof value === 'boolean' || value === 'true' || value === 'false'
+                ? null : `expected BOOLEAN, got ${describe(value)}`;
+        case 'DATE':
+            if (typeof value !== 'string') {
+                return `expected DATE, got ${describe(value)}`;
+            }
+            return isValidDate(value) ? null : `invalid DATE "${value}"`;
+        case 'TIMESTAMP':
+        case 'DATETIME':
+            if (typeof value === 'number') {
+                return Number.isFinite(value) ? null : `expected ${type}, got ${value}`;
+            }
+            return typeof value === 'string' && !isNaN(Date.parse(value))
+                ? null : `invalid ${type} ${JSON.stringify(value)}`;
+        default:
+            // Types we don't check (GEOGRAPHY, JSON, ...)
+            return null;
+    }
+}
+
+/**
+ * Short description of a value's JSON type for error messages
+ * @param {*} value - The value
+ * @returns {string}
+ */
+function describe(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'string') return `string ${JSON.stringify(value.length > 40 ? value.slice(0, 40) + '...' : value)}`;
+    return typeof value;
+}
+
+/**
+ * Validates a single (non-repeated) value against a field
+ * @param {*} value - The value
+ * @param {Object} field - The compiled field
+ * @param {string} fieldPath - Dotted path for error messages
+ * @param {Array} violations - Collected violations
+ */
+function checkValue(value, field, fieldPath, violations) {
+    if (field.type === 'RECORD') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            violations.push({ path: fieldPath, kind: 'type', message: `expected RECORD, got ${describe(value)}` });
+            return;
+        }
+        checkObject(value, field.children, fieldPath, violations);
+        return;
+    }
+
+    const problem = checkScalar(value, field.type);
+    if (problem) {
+        violations.push({ path: fieldPath, kind: field.type === 'DATE' && typeof value === 'string' ? 'date' : 'type', message: problem });
+    }
+}
+
+/**
+ * Validates an object's keys against a set of compiled fields
+ * @param {Object} obj - The object to validate
+ * @param {Map<string, Object>} fields - The compiled fields
+ * @param {string} parentPath - Dotted path of the object
+ * @param {Array} violations - Collected violations
+ */
+function checkObject(obj, fields, parentPath, violations) {
+    for (const key of Object.keys(obj)) {
+        const value = obj[key];
+        const fieldPath = parentPath ? `${parentPath}.${key}` : key;
+        const field = fields.get(key.toLowerCase());
+
+        if (!field) {
+            violations.push({ path: fieldPath, kind: 'unknown', message: 'field not in schema' });
+            continue;
+        }
+
+        if (value === null || value === undefined) {
+            if (field.mode === 'REQUIRED') {
+                violations.push({ path: fieldPath, kind: 'mode', message: 'REQUIRED field is null' });
+            }
+            continue;
+        }
+
+        if (field.mode === 'REPEATED') {
+            if (!Array.isArray(value)) {
+                violations.push({ path: fieldPath, kind: 'mode', message: `REPEATED field got ${describe(value)}` });
+                continue;
+            }
+            value.forEach((item, i) => {
+                const itemPath = `${fieldPath}[${i}]`;
+                if (item === null) {
+                    violations.push({ path: itemPath, kind: 'mode', message: 'REPEATED field contains null' });
+                } else if (Array.isArray(item)) {
+                    violations.push({ path: itemPath, kind: 'mode', message: 'REPEATED field contains nested array' });
+                } else {
+                    checkValue(item, field, itemPath, violations);
+                }
+            });
+        } else {
+            if (Array.isArray(value)) {
+                violations.push({ path: fieldPath, kind: 'mode', message: `${field.mode} field got array` });
+                continue;
+            }
+            checkValue(value, field, fieldPath, violations);
+        }
+    }
+
+    // REQUIRED fields must be present
+    for (const field of fields.values()) {
+        if (field.mode === 'REQUIRED' && !Object.keys(obj).some(key => key.toLowerCase() === field.name.toLowerCase())) {
+            const fieldPath = parentPath ? `${parentPath}.${field.name}` : field.name;
+            violations.push({ path: fieldPath, kind: 'mode', message: 'REQUIRED field is missing' });
+        }
+    }
+}
+
+/**
+ * Validates a processed record against a compiled schema
+ * @param {Object} record - The BigQuery-ready record
+ * @param {Map<string, Object>} schema - Schema from loadSchema
+ * @returns {Array<{path: string, kind: string, message: string}>} Violations (empty if valid)
+ *   kind is one of 'unknown', 'type', 'mode' or 'date'
+ */
+function validateRecord(record, schema) {
+    const violations = [];
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        violations.push({ path: '', kind: 'type', message: `expected object, got ${describe(record)}` });
+        return violations;
+    }
+    checkObject(record, schema, '', violations);
+    return violations;
+}
+
+/**
+ * Strips array indexes from a violation path so counts group by field
+ * e.g. author[3].affiliation[0].name -> author.affiliation.name
+ * @param {string} violationPath - The violation path
+ * @returns {string}
+ */
+function normalizeViolationPath(violationPath) {
+    return violationPath.replace(/\[\d+\]/g, '');
+}
+
+module.exports = {
+    loadSchema,
+    validateRecord,
+    isValidDate,
+    normalizeViolationPath
+};
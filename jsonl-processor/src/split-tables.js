@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { readRecords } = require('./readers');
+const { getPartialPath } = require('./checkpoint');
+const { createLineWriter } = require('./line-writer');
+const { SchemaInferrer } = require('./schema-inference');
+
+/**
+ * Normalized tables from processed files
+ *
+ * Splits each processed record into a works row and one row per item of its
+ * author, reference, funder, license and link arrays, so those can be queried
+ * (and the large reference arrays left out) without UNNEST. Child rows start
+ * with the work's DOI (work_doi) and the item's 1-based position in its
+ * array, followed by the item's own fields - nested ones like an author's
+ * affiliations or a funder's awards stay as they are. Item fields named
+ * work_doi or position never replace the join keys.
+ *
+ * Output (in --output, default data/tables):
+ *   TABLE/NNN_TABLE.jsonl.gz  - the rows of each table, one file per input file
+ *   TABLE.schema.json         - BigQuery schema of each table, inferred from its rows
+ *
+ * Schemas build on the ones already in the output directory (unless --fresh),
+ * so splitting files in several runs still gives schemas covering all of them.
+ *
+ * This runs after process-all.js on its finished output and has no checkpoints
+ * of its own: each input file is split in one pass, and re-running it
+ * replaces its table files.
+ *
+ * Usage:
+ *   node src/split-tables.js [FILES...] [--input=DIR] [--output=DIR] [--fresh]
+ *
+ * FILES default to every *_processed.jsonl.gz file in --input (data/processed).
+ */
+
+const BASE_DIR = path.join(__dirname, '..');
+const DEFAULT_INPUT_DIR = path.join(BASE_DIR, 'data', 'processed');
+const DEFAULT_OUTPUT_DIR = path.join(BASE_DIR, 'data', 'tables');
+
+// Child tables and the record field their rows come from
+const CHILD_TABLES = {
+    authors: 'author',
+    references: 'reference',
+    funders: 'funder',
+    licenses: 'license',
+    links: 'link'
+};
+
+// All tables, in the order they are written
+const TABLES = ['works', ...Object.keys(CHILD_TABLES)];
+
+/**
+ * Splits a processed record into table rows
+ * @param {Object} record - A processed record
+ * @returns {Object<string, Object[]>} Rows keyed by table name
+ */
+function splitRecord(record) {
+    const work = { ...record };
+    const rows = { works: [work] };
+    for (const [table, field] of Object.entries(CHILD_TABLES)) {
+        const items = Array.isArray(record[field]) ? record[field] : [];
+        delete work[field];
+        rows[table] = items
+            .filter(item => item !== null && typeof item === 'object' && !Array.isArray(item))
+            .map((item, i) => {
+                // The join keys lead the row and win over item fields of the same name
+                const keys = { work_doi: record.DOI, position: i + 1 };
+                return Object.assign({ ...keys }, item, keys);
+            });
+    }
+    return rows;
+}
+
+/**
+ * Name of an input file without its _processed suffix and extensions
+ * e.g. 001_processed.jsonl.gz -> 001
+ * @param {string} file - Input file path
+ * @returns {string}
+ */
+function getBaseName(file) {
+    return path.basename(file).replace(/(_processed)?(\.jsonl|\.ndjson|\.json)?(\.gz)?$/, '');
+}
+
+/**
+ * Path of a table's schema file
+ * @param {string} outputDir - Output directory
+ * @param {string} table - Table name
+ * @returns {string}
+ */
+function getSchemaPath(outputDir, table) {
+    return path.join(outputDir, `${table}.schema.json`);
+}
+
+/**
+ * Splits one processed file into a file per table
+ * Files are written as *.partial and renamed once complete.
+ * @param {string} inputPath - Processed file
+ * @param {string} outputDir - Output directory (holds a directory per table)
+ * @param {Object<string, SchemaInferrer>} [inferrers] - Receive each table's rows
+ * @returns {Promise<{records: number, invalid: number, rows: Object<string, number>}>}
+ */
+async function splitFile(inputPath, outputDir, inferrers = {}) {
+    const baseName = getBaseName(inputPath);
+    const outputs = {};
+    for (const table of TABLES) {
+        const finalPath = path.join(outputDir, table, `${baseName}_${table}.jsonl.gz`);
+        fs.mkdirSync(path.dirname(finalPath), { recursive: true });
+        outputs[table] = { finalPath, writer: createLineWriter(getPartialPath(finalPath)), rows: 0 };
+    }
+
+    let records = 0;
+    let invalid = 0;
+    try {
+        for await (const text of readRecords(fs.createReadStream(inputPath), inputPath)) {
+            if (typeof text !== 'string' || !text.trim()) {
+                continue;
+            }
+            let record;
+            try {
+                record = JSON.parse(text);
+            } catch {
+                invalid++;
+                continue;
+            }
+            records++;
+            for (const [table, rows] of Object.entries(splitRecord(record))) {
+                for (const row of rows) {
+                    await outputs[table].writer.write(JSON.stringify(row));
+                    outputs[table].rows++;
+                    if (inferrers[table]) {
+                        inferrers[table].addRecord(row);
+                    }
+                }
+            }
+        }
+    } catch (err) {
+        // Don't leave partial tables behind
+        await Promise.all(Object.values(outputs).map(output => output.writer.close().catch(() => {})));
+        for (const output of Object.values(outputs)) {
+            fs.rmSync(getPartialPath(output.finalPath), { force: true });
+        }
+        throw err;
+    }
+    await Promise.all(Object.values(outputs).map(output => output.writer.close()));
+
+    const rows = {};
+    for (const [table, output] of Object.entries(outputs)) {
+        fs.renameSync(getPartialPath(output.finalPath), output.finalPath);
+        rows[table] = output.rows;
+    }
+    return { records, invalid, rows };
+}
+
+/**
+ * Splits processed files into normalized tables and writes their schemas
+ * @param {string[]} files - Processed files
+ * @param {Object} [options]
+ * @param {string} [options.outputDir=data/tables] - Where to write the tables
+ * @param {boolean} [options.fresh=false] - Ignore the schemas from earlier runs
+ * @param {boolean} [options.quiet=false] - Suppress progress output
+ * @returns {Promise<{records: number, invalid: number, rows: Object<string, number>}>} Totals over all files
+ */
+async function splitTables(files, options = {}) {
+    const { outputDir = DEFAULT_OUTPUT_DIR, fresh = false, quiet = false } = options;
+    const log = (message) => {
+        if (!quiet) {
+            console.log(message);
+        }
+    };
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const inferrers = {};
+    for (const table of TABLES) {
+        inferrers[table] = new SchemaInferrer();
+        const schemaPath = getSchemaPath(outputDir, table);
+        if (!fresh && fs.existsSync(schemaPath)) {
+            inferrers[table].addSchema(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+        }
+    }
+
+    const totals = { records: 0, invalid: 0, rows: Object.fromEntries(TABLES.map(table => [table, 0])) };
+    for (const file of files) {
+        const result = await splitFile(file, outputDir, inferrers);
+        totals.records += result.records;
+        totals.invalid += result.invalid;
+        for (const table of TABLES) {
+            totals.rows[table] += result.rows[table];
+        }
+        log(`${path.basename(file)}: ${result.records} records, ${TABLES.map(table => `${result.rows[table]} ${table}`).join(', ')}`);
+        if (result.invalid > 0) {
+            log(`${path.basename(file)}: skipped ${result.invalid} invalid JSON lines`);
+        }
+    }
+
+    for (const table of TABLES) {
+        fs.writeFileSync(getSchemaPath(outputDir, table), JSON.stringify(inferrers[table].toSchema(), null, 2) + '\n');
+        for (const conflict of inferrers[table].conflicts) {
+            log(`Schema conflict in ${table} at ${conflict.path}: ${conflict.types}, ${conflict.resolution}`);
+        }
+    }
+    return totals;
+}
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = { input: DEFAULT_INPUT_DIR, output: DEFAULT_OUTPUT_DIR, fresh: false, files: [] };
+    for (const arg of argv) {
+        if (arg.startsWith('--input=')) {
+            options.input = arg.slice('--input='.length);
+        } else if (arg.startsWith('--output=')) {
+            options.output = arg.slice('--output='.length);
+        } else if (arg === '--fresh') {
+            options.fresh = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+// Main process
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    try {
+        const files = options.files.length > 0
+            ? options.files
+            : fs.readdirSync(options.input)
+                .filter(file => file.endsWith('_processed.jsonl.gz'))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .map(file => path.join(options.input, file));
+        if (files.length === 0) {
+            throw new Error(`No processed files found in ${options.input}`);
+        }
+
+        const totals = await splitTables(files, { outputDir: options.output, fresh: options.fresh });
+        console.log(`Split ${totals.records} records from ${files.length} file(s)`);
+        for (const table of TABLES) {
+            console.log(`  ${table}: ${totals.rows[table]} rows`);
+        }
+        console.log(`Tables and schemas saved to: ${options.output}`);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    TABLES,
+    splitRecord,
+    splitFile,
+    splitTables
+};
@@ -0,0 +1,127 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * A fixed-size pool of worker threads
+ *
+ * Each worker handles one task at a time. Tasks are queued until a worker
+ * is free. Workers report back with messages of the form
+ *   { type: 'progress', id, ... } - forwarded to the task's onProgress
+ *   { type: 'done', id, result }  - resolves the task
+ *   { type: 'error', id, error }  - rejects the task
+ * A worker that crashes rejects its current task and is replaced.
+ */
+class WorkerPool {
+    /**
+     * @param {number} size - Number of worker threads
+     * @param {string} workerScript - Path to the worker entry point
+     * @param {Object} [workerData={}] - Passed to every worker as workerData
+     */
+    constructor(size, workerScript, workerData = {}) {
+        this.size = Math.max(1, size);
+        this.workerScript = workerScript;
+        this.workerData = workerData;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.destroyed = false;
+
+        for (let i = 0; i < this.size; i++) {
+            this._spawn();
+        }
+    }
+
+    /**
+     * Runs a task on the next free worker
+     * @param {Object} task - Structured-cloneable task data
+     * @param {Function} [onProgress] - Receives progress messages from the worker
+     * @returns {Promise<*>} The worker's result
+     */
+    run(task, onProgress = null) {
+        if (this.destroyed) {
+            return Promise.reject(new Error('Worker pool has been destroyed'));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, task, onProgress, resolve, reject });
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Terminates all workers and rejects pending tasks
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        this.destroyed = true;
+        for (const job of this.queue.splice(0)) {
+            job.reject(new Error('Worker pool has been destroyed'));
+        }
+        await Promise.all(this.workers.map(entry => entry.worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+    }
+
+    _spawn() {
+        const worker = new Worker(this.workerScript, { workerData: this.workerData });
+        const entry = { worker, job: null };
+
+        worker.on('message', (message) => {
+            const job = entry.job;
+            if (!job || message.id !== job.id) {
+                return;
+            }
+            if (message.type === 'progress') {
+                if (job.onProgress) {
+                    job.onProgress(message);
+                }
+            } else if (message.type === 'done' || message.type === 'error') {
+                entry.job = null;
+                this.idle.push(entry);
+                if (message.type === 'done') {
+                    job.resolve(message.result);
+                } else {
+                    const err = new Error(message.error.message);
+                    err.stack = message.error.stack;
+                    job.reject(err);
+                }
+                this._dispatch();
+            }
+        });
+
+        const onCrash = (err) => {
+            // Remove the dead worker, fail its task and start a replacement
+            this.workers = this.workers.filter(other => other !== entry);
+            this.idle = this.idle.filter(other => other !== entry);
+            if (entry.job) {
+                entry.job.reject(err);
+                entry.job = null;
+            }
+            if (!this.destroyed) {
+                this._spawn();
+                this._dispatch();
+            }
+        };
+        worker.on('error', onCrash);
+        worker.on('exit', (code) => {
+            if (code !== 0 && !this.destroyed && this.workers.includes(entry)) {
+                onCrash(new Error(`Worker exited with code ${code}`));
+            }
+        });
+
+        this.workers.push(entry);
+        this.idle.push(entry);
+    }
+
+    _dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const entry = this.idle.shift();
+            const job = this.queue.shift();
+            entry.job = job;
+            entry.worker.postMessage({ id: job.id, task: job.task });
+        }
+    }
+}
+
+module.exports = {
+    WorkerPool
+};
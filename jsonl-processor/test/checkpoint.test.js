@@ -0,0 +1,170 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { processJsonlFile, transformRecord, getOptionsFingerprint } = require('../src/processor');
+const {
+    CheckpointedOutput,
+    getPartialPath,
+    getCheckpointPath,
+    readCheckpoint,
+    loadCompletedManifest,
+    recordCompletedFile,
+    isFileCompleted
+} = require('../src/checkpoint');
+
+const readLines = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n');
+
+// Writes chunks to a CheckpointedOutput and waits until they have been handled
+function writeChunks(output, chunks) {
+    return new Promise((resolve, reject) => {
+        output.on('error', reject);
+        chunks.forEach(chunk => output.write(chunk));
+        output.write({ output: '' }, err => (err ? reject(err) : resolve()));
+    });
+}
+
+test('processJsonlFile only creates the output once it is complete', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const lines = Array.from({ length: 5 }, (_, i) => JSON.stringify({ DOI: `10.1/${i}` }));
+        fs.writeFileSync(inputPath, lines.join('\n') + '\n');
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, checkpointInterval: 2 });
+
+        assert.equal(result.processedCount, 5);
+        assert.equal(result.resumedFromLine, 0);
+        assert.equal(result.outputBytes, fs.statSync(outputPath).size);
+        assert.match(result.outputSha256, /^[0-9a-f]{64}$/);
+        assert.deepEqual(readLines(outputPath), lines.map(line => JSON.stringify(transformRecord(JSON.parse(line)))));
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['001.jsonl', '001_processed.jsonl.gz']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile resumes after the last checkpoint of an interrupted run', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const rejectedPath = path.join(dir, '001_rejected.jsonl.gz');
+        const lines = ['{"DOI":"10.1/0"}', '{not json', '{"DOI":"10.1/2"}', '{"DOI":"10.1/3"}', '{"DOI":"10.1/4"}'];
+        fs.writeFileSync(inputPath, lines.join('\n') + '\n');
+        const expected = [0, 2, 3, 4].map(i => JSON.stringify(transformRecord(JSON.parse(lines[i]))));
+
+        // An interrupted run: lines 1-2 committed, line 3 written after the checkpoint
+        const interrupted = new CheckpointedOutput(outputPath, rejectedPath);
+        await writeChunks(interrupted, [
+            { output: expected[0] + '\n' },
+            { rejected: '{"line_number":2}\n' },
+            { checkpoint: { source_file: '001.jsonl', optionsFingerprint: getOptionsFingerprint(), lineNumber: 2, processedCount: 1, errorCount: 1, invalidCount: 0, violationSummary: {} } },
+            { output: 'uncommitted\n' }
+        ]);
+        interrupted.destroy();
+        await new Promise(resolve => interrupted.on('close', resolve));
+        fs.appendFileSync(getPartialPath(outputPath), zlib.gzipSync('uncommitted\n'));
+        assert.ok(readCheckpoint(outputPath, rejectedPath, '001.jsonl'));
+        assert.equal(readCheckpoint(outputPath, rejectedPath, '002.jsonl'), null);
+        assert.equal(readCheckpoint(outputPath, rejectedPath, '001.jsonl', null, getOptionsFingerprint({ filters: ['type=book'] })), null);
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, resume: true, checkpointInterval: 2 });
+
+        assert.equal(result.resumedFromLine, 2);
+        assert.equal(result.discardedCheckpoint, false);
+        assert.equal(result.processedCount, 4);
+        assert.equal(result.errorCount, 1);
+        assert.equal(result.rejectedPath, rejectedPath);
+        assert.deepEqual(readLines(outputPath), expected);
+        assert.deepEqual(readLines(rejectedPath), ['{"line_number":2}']);
+        assert.ok(!fs.existsSync(getCheckpointPath(outputPath)));
+        assert.ok(!fs.existsSync(getPartialPath(outputPath)));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile starts over when not resuming', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        fs.writeFileSync(inputPath, '{"DOI":"10.1/0"}\n');
+        fs.writeFileSync(getPartialPath(outputPath), zlib.gzipSync('stale\n'));
+        fs.writeFileSync(getCheckpointPath(outputPath), JSON.stringify({ source_file: '001.jsonl', lineNumber: 1, outputBytes: 1 }));
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true });
+
+        assert.equal(result.resumedFromLine, 0);
+        assert.deepEqual(readLines(outputPath), ['{"DOI":"10.1/0","doi_normalized":"10.1/0"}']);
+        assert.ok(!fs.existsSync(getCheckpointPath(outputPath)));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile starts over when resuming with other options', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        fs.writeFileSync(inputPath, '{"DOI":"10.1/0","type":"book"}\n{"DOI":"10.1/1","type":"dataset"}\n');
+        // Checkpoint of a run without filters
+        const interrupted = new CheckpointedOutput(outputPath, null);
+        await writeChunks(interrupted, [
+            { output: '{"DOI":"10.1/0"}\n' },
+            { checkpoint: { source_file: '001.jsonl', optionsFingerprint: getOptionsFingerprint(), lineNumber: 1, processedCount: 1, errorCount: 0, invalidCount: 0, violationSummary: {} } }
+        ]);
+        interrupted.destroy();
+        await new Promise(resolve => interrupted.on('close', resolve));
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, resume: true, filters: ['type=dataset'] });
+
+        assert.equal(result.resumedFromLine, 0);
+        assert.equal(result.discardedCheckpoint, true);
+        assert.equal(result.optionsFingerprint, getOptionsFingerprint({ filters: ['type=dataset'] }));
+        assert.deepEqual(readLines(outputPath), ['{"DOI":"10.1/1","type":"dataset","doi_normalized":"10.1/1"}']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('getOptionsFingerprint changes with the options that shape the output', () => {
+    const base = getOptionsFingerprint();
+    assert.equal(getOptionsFingerprint({ stages: ['standardizeRecord', 'normalizeIdentifiers'], quiet: true }), base);
+    assert.notEqual(getOptionsFingerprint({ filters: ['type=book'] }), base);
+    assert.notEqual(getOptionsFingerprint({ projection: { include: ['DOI'] } }), base);
+    assert.notEqual(getOptionsFingerprint({ outputFormat: 'parquet' }), base);
+    assert.notEqual(getOptionsFingerprint({ validate: 'quarantine' }), base);
+    assert.notEqual(getOptionsFingerprint({ stages: [{ name: 'standardizeRecord', options: { nestedArrays: { '*': 'json' } } }] }), base);
+});
+
+test('completed files manifest tracks outputs by size', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    try {
+        const manifestPath = path.join(dir, 'completed.json');
+        fs.writeFileSync(path.join(dir, '0_processed.jsonl.gz'), 'abc');
+        assert.deepEqual(loadCompletedManifest(manifestPath), { files: {} });
+
+        recordCompletedFile(manifestPath, '0.jsonl.gz', { output: '0_processed.jsonl.gz', records: 1, outputBytes: 3 });
+        recordCompletedFile(manifestPath, '1.jsonl.gz', { output: '1_processed.jsonl.gz', records: 1, outputBytes: 3 });
+        const manifest = loadCompletedManifest(manifestPath);
+
+        assert.equal(manifest.files['0.jsonl.gz'].records, 1);
+        assert.ok(manifest.files['0.jsonl.gz'].completedAt);
+        assert.ok(isFileCompleted(manifest, '0.jsonl.gz', dir));
+        // Listed but its output is missing
+        assert.ok(!isFileCompleted(manifest, '1.jsonl.gz', dir));
+        assert.ok(!isFileCompleted(manifest, '2.jsonl.gz', dir));
+
+        // Truncated output no longer counts as complete
+        fs.writeFileSync(path.join(dir, '0_processed.jsonl.gz'), 'ab');
+        assert.ok(!isFileCompleted(manifest, '0.jsonl.gz', dir));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
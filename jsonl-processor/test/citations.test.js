@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractCitations } = require('../src/citations');
+const { processJsonlFile, transformRecord, getCitationsPath, getOptionsFingerprint } = require('../src/processor');
+const { CheckpointedOutput, getCheckpointPath, readCheckpoint } = require('../src/checkpoint');
+
+const readLines = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n').filter(line => line);
+
+test('extractCitations builds one edge per reference', () => {
+    const record = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'journal-article.expected.json'), 'utf8'));
+
+    assert.deepEqual(extractCitations(record), [
+        { citing_doi: record.DOI, cited_doi: '10.5555/12345678', doi_asserted_by: 'crossref', reference_key: 'ref1', unstructured: null },
+        { citing_doi: record.DOI, cited_doi: null, doi_asserted_by: null, reference_key: 'ref2', unstructured: 'Smith J. Some book. 2001-2002.' }
+    ]);
+    assert.deepEqual(extractCitations({ DOI: '10.1/a', reference: [{ DOI: ' 10.1/ABC ', unstructured: 'dropped', 'doi-asserted-by': 'publisher' }, null] }), [
+        { citing_doi: '10.1/a', cited_doi: '10.1/abc', doi_asserted_by: 'publisher', reference_key: null, unstructured: null }
+    ]);
+    assert.deepEqual(extractCitations({ DOI: '10.1/a' }), []);
+});
+
+test('getCitationsPath names the file after the output', () => {
+    assert.equal(getCitationsPath('/data/001_processed.jsonl.gz'), '/data/001_citations.jsonl.gz');
+    assert.equal(getCitationsPath('/data/001_processed.parquet'), '/data/001_citations.jsonl.gz');
+});
+
+test('processJsonlFile writes the citations of written records', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citations-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const citationsPath = getCitationsPath(outputPath);
+        const lines = [
+            { DOI: '10.1/0', reference: [{ key: 'a', DOI: '10.1/X' }] },
+            { DOI: '10.1/1' },
+            '{not json',
+            { DOI: '10.1/3', reference: [{ key: 'b', DOI: '10.1/0' }, { key: 'c', unstructured: 'A book' }] }
+        ].map(line => (typeof line === 'string' ? line : JSON.stringify(line)));
+        fs.writeFileSync(inputPath, lines.join('\n') + '\n');
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, citationsPath });
+
+        assert.equal(result.citationsPath, citationsPath);
+        assert.equal(result.citationsCount, 3);
+        assert.deepEqual(readLines(citationsPath).map(line => JSON.parse(line)), [
+            { citing_doi: '10.1/0', cited_doi: '10.1/x', doi_asserted_by: null, reference_key: 'a', unstructured: null },
+            { citing_doi: '10.1/3', cited_doi: '10.1/0', doi_asserted_by: null, reference_key: 'b', unstructured: null },
+            { citing_doi: '10.1/3', cited_doi: null, doi_asserted_by: null, reference_key: 'c', unstructured: 'A book' }
+        ]);
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['001.jsonl', '001_citations.jsonl.gz', '001_processed.jsonl.gz', '001_rejected.jsonl.gz']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile resumes citations from the last checkpoint', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'citations-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const rejectedPath = path.join(dir, '001_rejected.jsonl.gz');
+        const citationsPath = getCitationsPath(outputPath);
+        const records = [0, 1, 2].map(i => ({ DOI: `10.1/${i}`, reference: [{ DOI: `10.2/${i}` }] }));
+        fs.writeFileSync(inputPath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        const edges = records.map(record => JSON.stringify(extractCitations(transformRecord(record))[0]));
+
+        // An interrupted run: line 1 committed, line 2 written after the checkpoint
+        const interrupted = new CheckpointedOutput(outputPath, rejectedPath, null, { citationsPath });
+        await new Promise((resolve, reject) => {
+            interrupted.on('error', reject);
+            interrupted.write({ output: JSON.stringify(transformRecord(records[0])) + '\n' });
+            interrupted.write({ citations: edges[0] + '\n' });
+            interrupted.write({ checkpoint: { source_file: '001.jsonl', optionsFingerprint: getOptionsFingerprint(), lineNumber: 1, processedCount: 1, citationsCount: 1 } });
+            interrupted.write({ citations: edges[1] + '\n' }, err => (err ? reject(err) : resolve()));
+        });
+        interrupted.destroy();
+        await new Promise(resolve => interrupted.on('close', resolve));
+
+        // Without citations in the checkpoint there is nothing to resume them from
+        const checkpoint = JSON.parse(fs.readFileSync(getCheckpointPath(outputPath), 'utf8'));
+        assert.ok(readCheckpoint(outputPath, rejectedPath, '001.jsonl', citationsPath));
+        fs.writeFileSync(getCheckpointPath(outputPath), JSON.stringify({ ...checkpoint, citationsBytes: undefined }));
+        assert.equal(readCheckpoint(outputPath, rejectedPath, '001.jsonl', citationsPath), null);
+        fs.writeFileSync(getCheckpointPath(outputPath), JSON.stringify(checkpoint));
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, resume: true, citationsPath });
+
+        assert.equal(result.resumedFromLine, 1);
+        assert.equal(result.citationsCount, 3);
+        assert.deepEqual(readLines(citationsPath), edges);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
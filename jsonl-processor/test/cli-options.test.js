@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, resolveOptions, globToRegExp, selectFiles } = require('../src/cli-options');
+
+test('parseArgs accepts --flag=value, --flag value and positional file selectors', () => {
+    const args = parseArgs(['--input=in', '--jobs', '2', '--files=0-9,20', '--dry-run', '--no-resume', '30-31']);
+
+    assert.deepEqual(args, {
+        input: 'in',
+        jobs: '2',
+        files: ['0-9', '20', '30-31'],
+        dryRun: true,
+        resume: false
+    });
+    assert.deepEqual(parseArgs(['--filter=type=journal-article,book-chapter', '--filter', 'issued>=2015']).filters,
+        ['type=journal-article,book-chapter', 'issued>=2015']);
+    assert.throws(() => parseArgs(['--bogus']), /Unknown option: --bogus/);
+    assert.throws(() => parseArgs(['--output']), /--output needs a value/);
+});
+
+test('resolveOptions applies defaults < environment < config file < command line', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-options-test-'));
+    try {
+        const configPath = path.join(dir, 'run.json');
+        fs.writeFileSync(configPath, JSON.stringify({ input: 'raw', output: 'out', jobs: 3, files: '1-5', projection: 'slim.json' }));
+
+        const options = resolveOptions(['--config', configPath, '--jobs=2'], { QUIET: 'true', DEBUG: 'true', FILE: 'x/7.jsonl.gz' });
+
+        // Config paths are relative to the config file
+        assert.equal(options.input, path.join(dir, 'raw'));
+        assert.equal(options.output, path.join(dir, 'out'));
+        assert.equal(options.projection, path.join(dir, 'slim.json'));
+        assert.equal(options.jobs, 2);
+        assert.deepEqual(options.files, ['1-5']);
+        assert.equal(options.quiet, true);
+        assert.equal(options.debug, true);
+        assert.equal(options.resume, true);
+
+        // The legacy FILE variable still selects a single file
+        assert.deepEqual(resolveOptions([], { FILE: 'x/7.jsonl.gz' }).files, ['7.jsonl.gz']);
+        assert.equal(resolveOptions(['--logs', 'l']).logs, path.resolve('l'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('resolveOptions rejects invalid values', () => {
+    assert.throws(() => resolveOptions(['--jobs=0']), /--jobs must be a positive integer/);
+    assert.throws(() => resolveOptions(['--validate=strict']), /--validate must be report or quarantine/);
+    assert.throws(() => resolveOptions(['9-3']), /Invalid file range: 9-3/);
+    assert.throws(() => resolveOptions(['--filter=issued>=15']), /Invalid filter: issued>=15/);
+    assert.throws(() => resolveOptions(['--config=/nonexistent/run.json']), /Could not read config/);
+});
+
+test('globToRegExp matches *, ? and character classes', () => {
+    assert.ok(globToRegExp('1*.jsonl.gz').test('123.jsonl.gz'));
+    assert.ok(!globToRegExp('1*.jsonl.gz').test('123.jsonlxgz'));
+    assert.ok(globToRegExp('?.jsonl.gz').test('7.jsonl.gz'));
+    assert.ok(!globToRegExp('?.jsonl.gz').test('17.jsonl.gz'));
+    assert.ok(globToRegExp('[12]0.jsonl.gz').test('20.jsonl.gz'));
+    assert.ok(!globToRegExp('[!12]0.jsonl.gz').test('20.jsonl.gz'));
+});
+
+test('selectFiles picks files by number range, glob or exact name', () => {
+    const files = ['0.jsonl.gz', '2.jsonl.gz', '10.jsonl.gz', '11.jsonl.gz', '100.jsonl.gz'];
+
+    assert.deepEqual(selectFiles(files, []).files, files);
+    assert.deepEqual(selectFiles(files, ['0-10']).files, ['0.jsonl.gz', '2.jsonl.gz', '10.jsonl.gz']);
+    assert.deepEqual(selectFiles(files, ['1?.jsonl.gz', '2']).files, ['2.jsonl.gz', '10.jsonl.gz', '11.jsonl.gz']);
+
+    const { files: selected, explicit, unmatched } = selectFiles(files, ['data/raw/100.jsonl.gz', '50-60', '*.gz']);
+    assert.deepEqual(selected, files);
+    assert.deepEqual([...explicit], ['100.jsonl.gz']);
+    assert.deepEqual(unmatched, ['50-60']);
+});
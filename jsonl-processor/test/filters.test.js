@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { parseFilter, compileFilters } = require('../src/filters');
+const { processJsonlFile } = require('../src/processor');
+
+const article = {
+    DOI: '10.1016/J.CELL.2015.01.001',
+    type: 'journal-article',
+    member: '78',
+    prefix: '10.1016',
+    issued: { 'date-parts': [[2015, 3]] },
+    created: { 'date-parts': [[2015, 2, 28]] }
+};
+
+test('parseFilter compares text fields', () => {
+    assert.equal(parseFilter('type=journal-article')(article), true);
+    assert.equal(parseFilter('type = Book-Chapter, journal-article')(article), true);
+    assert.equal(parseFilter('type!=journal-article')(article), false);
+    assert.equal(parseFilter('member=78')(article), true);
+    assert.equal(parseFilter('member=311')(article), false);
+    assert.equal(parseFilter('prefix=10.1016')(article), true);
+    assert.equal(parseFilter('doi^=10.1016/j.cell,10.1126/')(article), true);
+    assert.equal(parseFilter('doi^=10.1016/j.neuron')(article), false);
+    assert.equal(parseFilter('doi^=10.1')({ type: 'book' }), false);
+    assert.equal(parseFilter('member!=78')({ type: 'book' }), true);
+});
+
+test('parseFilter compares dates at the precision given', () => {
+    assert.equal(parseFilter('issued>=2015')(article), true);
+    assert.equal(parseFilter('issued>=2015-04')(article), false);
+    assert.equal(parseFilter('issued=2015')(article), true);
+    assert.equal(parseFilter('issued=2015-03')(article), true);
+    assert.equal(parseFilter('issued<=2015-03-01')(article), true);
+    assert.equal(parseFilter('issued<2015-03')(article), false);
+    assert.equal(parseFilter('issued>2014')(article), true);
+    assert.equal(parseFilter('issued>2015')(article), false);
+    assert.equal(parseFilter('created<=2015-02')(article), true);
+    // Processed dates and missing ones
+    assert.equal(parseFilter('issued>=2015')({ issued: '2016-01-01' }), true);
+    assert.equal(parseFilter('issued>=2015')({ issued: { 'date-parts': [[null]] } }), false);
+    assert.equal(parseFilter('published<2020')(article), false);
+});
+
+test('parseFilter rejects invalid expressions', () => {
+    assert.throws(() => parseFilter('type'), /Invalid filter: type/);
+    assert.throws(() => parseFilter('type='), /Invalid filter: type=/);
+    assert.throws(() => parseFilter('title=x'), /unknown field title/);
+    assert.throws(() => parseFilter('type>=a'), /type takes =, != or \^=/);
+    assert.throws(() => parseFilter('issued^=2015'), /issued takes =, >=, <=, > or </);
+    assert.throws(() => parseFilter('issued>=2015-13'), /dates are YYYY, YYYY-MM or YYYY-MM-DD/);
+    assert.throws(() => parseFilter('issued>=2015-02-30'), /dates are YYYY/);
+});
+
+test('compileFilters requires every filter to match', () => {
+    assert.equal(compileFilters([]), null);
+    assert.equal(compileFilters(undefined), null);
+    const filter = compileFilters(['type=journal-article', 'issued>=2015']);
+    assert.equal(filter(article), true);
+    assert.equal(filter({ ...article, issued: { 'date-parts': [[2014]] } }), false);
+    assert.equal(filter({ ...article, type: 'book' }), false);
+    assert.equal(filter(null), false);
+});
+
+test('processJsonlFile counts and skips records not matching the filters', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filters-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const records = [
+            article,
+            { ...article, DOI: '10.1016/old', issued: { 'date-parts': [[2010]] } },
+            { ...article, DOI: '10.1007/chapter', type: 'book-chapter' },
+            { ...article, DOI: '10.1016/new' }
+        ];
+        fs.writeFileSync(inputPath, records.map(record => JSON.stringify(record)).join('\n') + '\n{not json\n');
+
+        const result = await processJsonlFile(inputPath, outputPath, {
+            quiet: true,
+            filters: ['type=journal-article', 'issued>=2015']
+        });
+
+        assert.equal(result.processedCount, 2);
+        assert.equal(result.filteredCount, 2);
+        assert.equal(result.rejectedCount, 1);
+        assert.equal(result.inputLines, 5);
+        const written = zlib.gunzipSync(fs.readFileSync(outputPath)).toString().trim().split('\n').map(line => JSON.parse(line).DOI);
+        assert.deepEqual(written, [article.DOI, '10.1016/new']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ParquetReader } = require('@dsnp/parquetjs');
+const { transformRecord, processJsonlFile, MULTI_PASS_STAGES } = require('../src/processor');
+const { SchemaInferrer } = require('../src/schema-inference');
+
+// Each fixture is a raw Crossref record (NAME.input.json) paired with
+// its expected BigQuery-ready output (NAME.expected.json)
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.input.json'))
+    .map(file => file.replace('.input.json', ''))
+    .sort();
+
+for (const name of fixtures) {
+    test(`fixture: ${name}`, () => {
+        const input = readJson(`${name}.input.json`);
+        const expected = readJson(`${name}.expected.json`);
+        assert.deepEqual(transformRecord(input), expected);
+    });
+
+    test(`fixture: ${name} (multi-pass stages)`, () => {
+        const input = readJson(`${name}.input.json`);
+        const expected = readJson(`${name}.expected.json`);
+        assert.deepEqual(transformRecord(input, { stages: MULTI_PASS_STAGES }), expected);
+    });
+}
+
+// Validates the nested-arrays fixture against a schema and reads it back from Parquet
+async function writeNestedArraysParquet(options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.parquet');
+        fs.writeFileSync(inputPath, JSON.stringify(readJson('nested-arrays.input.json')) + '\n');
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true, outputFormat: 'parquet', validate: 'quarantine', ...options });
+
+        const reader = await ParquetReader.openFile(outputPath);
+        const row = await reader.getCursor().next();
+        await reader.close();
+        return { result, row };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('fixture: nested-arrays fits schema.json in Parquet output', async () => {
+    const { result, row } = await writeNestedArraysParquet({});
+
+    assert.equal(result.invalidCount, 0);
+    assert.equal(result.processedCount, 1);
+    assert.deepEqual(row.title, ['Arrays of Arrays', 'in Deposited Metadata']);
+    assert.deepEqual(row.author[0].affiliation[0].id.map(id => id.id_type), ['ROR', 'ISNI']);
+});
+
+test('fixture: nested-arrays keeps wrapped groups with a regenerated schema', async () => {
+    const stages = [
+        { name: 'standardizeRecord', options: { nestedArrays: { 'author.affiliation.id': 'wrap' } } },
+        'normalizeIdentifiers'
+    ];
+    const inferrer = new SchemaInferrer();
+    inferrer.addSchema(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema.json'), 'utf8')));
+    inferrer.addRecord(transformRecord(readJson('nested-arrays.input.json'), { stages }));
+
+    const { result, row } = await writeNestedArraysParquet({ stages, schema: inferrer.toSchema() });
+
+    assert.equal(result.invalidCount, 0);
+    assert.deepEqual(row.author[0].affiliation[0].id.map(group => group.values.map(id => id.id_type)), [['ROR'], ['ISNI']]);
+});
@@ -0,0 +1,14 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../src/generate-schema');
+
+test('parseArgs accepts --flag=value and --flag value', () => {
+    assert.deepEqual(parseArgs(['--projection', 'slim.json', '--output=slim.schema.json']),
+        { fresh: false, projection: 'slim.json', output: 'slim.schema.json', file: null });
+    assert.deepEqual(parseArgs(['001_processed.jsonl.gz', '--fresh']),
+        { fresh: true, projection: null, output: null, file: '001_processed.jsonl.gz' });
+    assert.throws(() => parseArgs(['--projection']), /--projection needs a value/);
+    assert.throws(() => parseArgs(['--output', 'x.json']), /--output only applies with --projection/);
+    assert.throws(() => parseArgs(['--bogus']), /Unknown option: --bogus/);
+    assert.throws(() => parseArgs(['a.jsonl.gz', 'b.jsonl.gz']), /Only one file/);
+});
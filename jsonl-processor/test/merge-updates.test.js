@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { transformRecord } = require('../src/processor');
+const { mergeUpdates, getIndexedTime, classifyChange } = require('../src/merge-updates');
+
+const readLines = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n').filter(line => line);
+
+// A REST API /works page, as saved from a cursor-paged harvest
+function worksPage(items) {
+    return JSON.stringify({
+        status: 'ok',
+        'message-type': 'work-list',
+        message: { 'next-cursor': 'abc', 'total-results': items.length, items }
+    });
+}
+
+// Raw record indexed at the given time
+function work(doi, dateTime, extra = {}) {
+    const date = new Date(dateTime);
+    const dateParts = [[date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]];
+    return { DOI: doi, indexed: { 'date-parts': dateParts, 'date-time': dateTime, timestamp: date.getTime() }, ...extra };
+}
+
+test('getIndexedTime reads raw and processed records', () => {
+    assert.equal(getIndexedTime(work('10.1/a', '2025-03-04T05:06:07Z')), Date.parse('2025-03-04T05:06:07Z'));
+    assert.equal(getIndexedTime({ indexed: { 'date-time': '2025-03-04T05:06:07Z' } }), Date.parse('2025-03-04T05:06:07Z'));
+    assert.equal(getIndexedTime({ indexed: { 'date-parts': [[2025, 3, 4]] } }), Date.parse('2025-03-04'));
+    assert.equal(getIndexedTime({ indexed: '2025-03-04' }), Date.parse('2025-03-04'));
+    // Processed records keep the full time next to the DATE
+    const raw = work('10.1/a', '2024-03-05T10:00:00Z');
+    assert.equal(getIndexedTime(transformRecord(raw)), getIndexedTime(raw));
+    assert.equal(getIndexedTime({ indexed: '2025-03-04', indexed_date_time: '2025-03-04T05:06:07Z' }), Date.parse('2025-03-04T05:06:07Z'));
+    assert.equal(getIndexedTime({ DOI: '10.1/a' }), null);
+});
+
+test('classifyChange compares the indexed times of the update and the base', () => {
+    const day = Date.parse('2025-03-04');
+    assert.equal(classifyChange({ indexed: day + 1000, baseIndexed: undefined }), 'inserted');
+    assert.equal(classifyChange({ indexed: day + 1000, baseIndexed: day }), 'updated');
+    assert.equal(classifyChange({ indexed: day, baseIndexed: day }), 'unchanged');
+    assert.equal(classifyChange({ indexed: day - 1000, baseIndexed: day }), 'unchanged');
+    assert.equal(classifyChange({ indexed: null, baseIndexed: day }), 'updated');
+});
+
+test('mergeUpdates keeps the latest record per DOI and writes a change set', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-updates-test-'));
+    try {
+        const pages = [path.join(dir, 'page-1.json'), path.join(dir, 'page-2.json')];
+        fs.writeFileSync(pages[0], worksPage([
+            work('10.1/new', '2025-03-01T00:00:00Z', { title: ['old title'] }),
+            work('10.1/changed', '2025-03-02T00:00:00Z'),
+            work('10.1/stale', '2025-01-01T00:00:00Z')
+        ]));
+        fs.writeFileSync(pages[1], worksPage([
+            // Same DOI in different case, indexed later
+            work('10.1/NEW', '2025-03-05T00:00:00Z', { title: ['new title'] }),
+            // Older than the version on the first page
+            work('10.1/changed', '2025-02-01T00:00:00Z', { title: ['outdated'] })
+        ]));
+
+        const baseFile = path.join(dir, '0_processed.jsonl.gz');
+        const base = [
+            transformRecord(work('10.1/changed', '2025-02-15T00:00:00Z')),
+            transformRecord(work('10.1/stale', '2025-02-15T00:00:00Z')),
+            transformRecord(work('10.1/gone', '2025-02-15T00:00:00Z', { reference: [{ key: 'r1', DOI: '10.1/new' }] }))
+        ];
+        fs.writeFileSync(baseFile, zlib.gzipSync(base.map(record => JSON.stringify(record)).join('\n') + '\n'));
+
+        const outputDir = path.join(dir, 'updates');
+        const summary = await mergeUpdates(pages, { outputDir, baseFiles: [baseFile], quiet: true });
+
+        assert.equal(summary.records, 5);
+        assert.equal(summary.duplicates, 2);
+        assert.equal(summary.distinctDois, 3);
+        assert.deepEqual(summary.changes, { inserted: 1, updated: 1, unchanged: 1, deleted: 0 });
+        assert.equal(summary.outputRecords, 2);
+        assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outputDir, 'changeset.json'), 'utf8')).changes, summary.changes);
+
+        const processed = readLines(path.join(outputDir, 'updates_processed.jsonl.gz')).map(line => JSON.parse(line));
+        assert.deepEqual(processed.map(record => record.DOI), ['10.1/changed', '10.1/NEW']);
+        assert.deepEqual(processed[1].title, ['new title']);
+        assert.equal(readLines(path.join(outputDir, 'updates.jsonl.gz')).length, 2);
+
+        const changes = readLines(path.join(outputDir, 'changeset.jsonl.gz')).map(line => JSON.parse(line));
+        assert.deepEqual(changes, [
+            { DOI: '10.1/changed', change: 'updated', indexed: '2025-03-02T00:00:00.000Z' },
+            { DOI: '10.1/NEW', change: 'inserted', indexed: '2025-03-05T00:00:00.000Z' }
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('mergeUpdates reports records identical to the base as unchanged', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-updates-test-'));
+    try {
+        const records = [work('10.1/a', '2024-03-05T10:00:00Z'), work('10.1/b', '2024-03-05T23:59:59Z')];
+        const page = path.join(dir, 'page-1.json');
+        fs.writeFileSync(page, worksPage(records));
+        const baseFile = path.join(dir, '0_processed.jsonl.gz');
+        fs.writeFileSync(baseFile, zlib.gzipSync(records.map(record => JSON.stringify(transformRecord(record))).join('\n')));
+
+        const summary = await mergeUpdates([page], { outputDir: path.join(dir, 'updates'), baseFiles: [baseFile], quiet: true });
+
+        assert.deepEqual(summary.changes, { inserted: 0, updated: 0, unchanged: 2, deleted: 0 });
+        assert.equal(summary.outputRecords, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('mergeUpdates reports base DOIs missing from a full harvest as deleted', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-updates-test-'));
+    try {
+        const page = path.join(dir, 'page-1.json');
+        fs.writeFileSync(page, worksPage([work('10.1/kept', '2025-03-01T00:00:00Z')]));
+        const baseFile = path.join(dir, '0_processed.jsonl.gz');
+        const base = [work('10.1/kept', '2025-02-01T00:00:00Z'), work('10.1/gone', '2025-02-01T00:00:00Z'), work('10.1/GONE', '2025-01-01T00:00:00Z')];
+        fs.writeFileSync(baseFile, zlib.gzipSync(base.map(record => JSON.stringify(transformRecord(record))).join('\n')));
+        // The deleted DOI is in a second base file too
+        const otherBaseFile = path.join(dir, '1_processed.jsonl.gz');
+        fs.writeFileSync(otherBaseFile, zlib.gzipSync(JSON.stringify(transformRecord(base[1]))));
+
+        const outputDir = path.join(dir, 'updates');
+        const summary = await mergeUpdates([page], { outputDir, baseFiles: [baseFile, otherBaseFile], full: true, quiet: true });
+
+        assert.deepEqual(summary.changes, { inserted: 0, updated: 1, unchanged: 0, deleted: 1 });
+        const changes = readLines(path.join(outputDir, 'changeset.jsonl.gz')).map(line => JSON.parse(line));
+        assert.deepEqual(changes.map(change => [change.DOI, change.change]), [['10.1/gone', 'deleted'], ['10.1/kept', 'updated']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const avro = require('avsc');
+const { ParquetReader } = require('@dsnp/parquetjs');
+const { processJsonlFile, getRejectedPath } = require('../src/processor');
+const { convertRecord, toAvroSchema, toParquetSchema } = require('../src/output-formats');
+const { loadSchema } = require('../src/schema-validator');
+
+const SCHEMA = [
+    { name: 'DOI', type: 'STRING', mode: 'NULLABLE' },
+    { name: 'issued', type: 'DATE', mode: 'NULLABLE' },
+    { name: 'reference_count', type: 'INTEGER', mode: 'NULLABLE' },
+    { name: 'score', type: 'FLOAT', mode: 'NULLABLE' },
+    { name: 'title', type: 'STRING', mode: 'REPEATED' },
+    {
+        name: 'author', type: 'RECORD', mode: 'REPEATED', fields: [
+            { name: 'given', type: 'STRING', mode: 'NULLABLE' },
+            { name: 'authenticated_orcid', type: 'BOOLEAN', mode: 'NULLABLE' },
+            {
+                name: 'affiliation', type: 'RECORD', mode: 'REPEATED', fields: [
+                    { name: 'name', type: 'STRING', mode: 'NULLABLE' }
+                ]
+            }
+        ]
+    }
+];
+
+const RECORDS = [
+    {
+        DOI: '10.1/a',
+        issued: { 'date-parts': [[2020, 2, 3]] },
+        'reference-count': 12,
+        score: 1.5,
+        title: ['A title'],
+        author: [{ given: 'Ada', 'authenticated-orcid': true, affiliation: [{ name: 'Uni' }] }, { given: 'Bob' }]
+    },
+    { DOI: '10.1/b', 'not-in-schema': 'dropped' },
+    { DOI: '10.1/c', 'reference-count': 'many' }
+];
+
+const EXPECTED_ROWS = [
+    {
+        DOI: '10.1/a',
+        issued: 18295,
+        reference_count: 12,
+        score: 1.5,
+        title: ['A title'],
+        author: [
+            { given: 'Ada', authenticated_orcid: true, affiliation: [{ name: 'Uni' }] },
+            { given: 'Bob', authenticated_orcid: null, affiliation: [] }
+        ]
+    },
+    { DOI: '10.1/b', issued: null, reference_count: null, score: null, title: [], author: [] }
+];
+
+// Writes the records as JSONL and processes them into the given output format
+async function processRecords(dir, outputFormat) {
+    const inputPath = path.join(dir, '001.jsonl');
+    const outputPath = path.join(dir, `001_processed.${outputFormat}`);
+    fs.writeFileSync(inputPath, RECORDS.map(record => JSON.stringify(record)).join('\n') + '\n');
+    const result = await processJsonlFile(inputPath, outputPath, { quiet: true, outputFormat, schema: SCHEMA });
+    return { outputPath, result };
+}
+
+test('convertRecord fits records to the schema', () => {
+    const fields = loadSchema(SCHEMA);
+
+    assert.deepEqual(convertRecord({ doi: '10.1/x', reference_count: '7', title: 'One', author: [null] }, fields), {
+        DOI: '10.1/x', issued: null, reference_count: 7, score: null, title: ['One'], author: []
+    });
+    assert.throws(() => convertRecord({ issued: '2020-02-30' }, fields), /issued: cannot write "2020-02-30" as DATE/);
+    assert.throws(() => convertRecord({ author: [{ affiliation: ['Uni'] }] }, fields), /author\[0\]\.affiliation\[0\]: expected an object/);
+});
+
+test('toAvroSchema and toParquetSchema keep nesting and types', () => {
+    const fields = loadSchema(SCHEMA);
+
+    const avroType = avro.Type.forSchema(toAvroSchema(fields));
+    assert.ok(avroType.isValid(EXPECTED_ROWS[0]));
+    assert.equal(avroType.getField('author').getType().getItemsType().getField('affiliation').getType().typeName, 'array');
+
+    const parquetSchema = toParquetSchema(fields);
+    assert.deepEqual(parquetSchema.issued, { type: 'DATE', compression: 'SNAPPY', optional: true });
+    assert.equal(parquetSchema.author.repeated, true);
+    assert.equal(parquetSchema.author.fields.affiliation.fields.name.type, 'UTF8');
+});
+
+test('processJsonlFile writes typed Avro files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-formats-test-'));
+    try {
+        const { outputPath, result } = await processRecords(dir, 'avro');
+
+        const rows = [];
+        await new Promise((resolve, reject) => {
+            avro.createFileDecoder(outputPath).on('data', row => rows.push({ ...row })).on('end', resolve).on('error', reject);
+        });
+        assert.deepEqual(JSON.parse(JSON.stringify(rows)), EXPECTED_ROWS);
+        assert.equal(result.processedCount, 2);
+        assert.equal(result.outputBytes, fs.statSync(outputPath).size);
+
+        // The record that doesn't fit the schema is rejected
+        assert.equal(result.rejectedPath, getRejectedPath(outputPath));
+        const [rejected] = zlib.gunzipSync(fs.readFileSync(result.rejectedPath)).toString().trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(rejected.stage, 'serialize');
+        assert.equal(rejected.line_number, 3);
+        assert.match(rejected.error, /reference_count: cannot write "many" as INTEGER/);
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['001.jsonl', '001_processed.avro', '001_rejected.jsonl.gz']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile writes typed Parquet files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-formats-test-'));
+    try {
+        const { outputPath, result } = await processRecords(dir, 'parquet');
+
+        const reader = await ParquetReader.openFile(outputPath);
+        const cursor = reader.getCursor();
+        const rows = [];
+        for (let row = await cursor.next(); row; row = await cursor.next()) {
+            rows.push(row);
+        }
+        await reader.close();
+
+        assert.equal(result.processedCount, 2);
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0].issued.toISOString(), '2020-02-03T00:00:00.000Z');
+        assert.equal(rows[0].reference_count, 12n);
+        assert.deepEqual(rows[0].title, ['A title']);
+        assert.deepEqual(rows[0].author[0].affiliation, [{ name: 'Uni' }]);
+        assert.equal(rows[0].author[1].given, 'Bob');
+        assert.equal(rows[1].DOI, '10.1/b');
+        assert.equal(rows[1].issued, null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
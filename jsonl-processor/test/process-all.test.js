@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const SCRIPT = path.join(__dirname, '..', 'src', 'process-all.js');
+
+// Runs process-all.js on the input directory and returns the output directory
+function runProcessAll(dir, args) {
+    const output = path.join(dir, 'processed');
+    execFileSync(process.execPath, [
+        SCRIPT, `--input=${path.join(dir, 'raw')}`, `--output=${output}`, `--logs=${path.join(dir, 'logs')}`, '--jobs=1', '--quiet', ...args
+    ], { stdio: 'pipe', timeout: 60000 });
+    return output;
+}
+
+test('process-all completes a file when no record matches the filters', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-all-test-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'raw'));
+        const records = [{ DOI: '10.1/a', type: 'book-chapter' }, { DOI: '10.1/b', type: 'dataset' }];
+        fs.writeFileSync(path.join(dir, 'raw', '1.jsonl.gz'), zlib.gzipSync(records.map(record => JSON.stringify(record)).join('\n') + '\n'));
+
+        const output = runProcessAll(dir, ['--filter=type=journal-article']);
+
+        assert.equal(zlib.gunzipSync(fs.readFileSync(path.join(output, '1_processed.jsonl.gz'))).length, 0);
+        const completed = JSON.parse(fs.readFileSync(path.join(output, 'completed.json'), 'utf8'));
+        assert.equal(completed.files['1.jsonl.gz'].records, 0);
+        assert.equal(completed.files['1.jsonl.gz'].filtered, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('process-all lists files completed by an earlier run in the manifest of a resumed run', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-all-test-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'raw'));
+        const writeInput = (name, dois) => fs.writeFileSync(path.join(dir, 'raw', name),
+            zlib.gzipSync(dois.map(doi => JSON.stringify({ DOI: doi, type: 'dataset' })).join('\n') + '\n'));
+        writeInput('1.jsonl.gz', ['10.1/a', '10.1/b']);
+        const output = runProcessAll(dir, []);
+        writeInput('2.jsonl.gz', ['10.1/c']);
+        runProcessAll(dir, []);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(output, 'manifest.json'), 'utf8'));
+        assert.deepEqual(manifest.files.map(entry => [entry.file, entry.status, entry.outputRecords]), [
+            ['1.jsonl.gz', 'skipped', 2],
+            ['2.jsonl.gz', 'completed', 1]
+        ]);
+        assert.ok(manifest.files[0].inputSha256);
+        assert.equal(manifest.totals.outputRecords, 3);
+
+        // Files completed with other options are processed again
+        runProcessAll(dir, ['--filter=doi=10.1/a']);
+        const completed = JSON.parse(fs.readFileSync(path.join(output, 'completed.json'), 'utf8'));
+        assert.equal(completed.files['1.jsonl.gz'].records, 1);
+        assert.equal(completed.files['2.jsonl.gz'].records, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,319 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+    processJsonlFile,
+    transformRecord,
+    DEFAULT_STAGES,
+    MULTI_PASS_STAGES,
+    cleanNullValues,
+    flattenNestedArrays,
+    flattenRemainingNestedArrays,
+    convertDatePartsToISOString,
+    extractDateParts,
+    processDateFields,
+    processRelations,
+    fixBigQueryIssues,
+    replaceKeyDashes,
+    standardizeRecord,
+    normalizeIdentifiers,
+    parseYear,
+    normalizeDoi,
+    normalizeOrcid,
+    normalizeIssn,
+    normalizeIsbn
+} = require('../src/processor');
+
+test('convertDatePartsToISOString pads missing month and day', () => {
+    assert.equal(convertDatePartsToISOString([[2019]]), '2019-01-01');
+    assert.equal(convertDatePartsToISOString([2019, 5]), '2019-05-01');
+    assert.equal(convertDatePartsToISOString(['2019', '5', '3']), '2019-05-03');
+    assert.equal(convertDatePartsToISOString([[null]]), null);
+    assert.equal(convertDatePartsToISOString([]), null);
+});
+
+test('extractDateParts stops at the first invalid part', () => {
+    assert.deepEqual(extractDateParts([[2019, 5, 3]]), [2019, 5, 3]);
+    assert.deepEqual(extractDateParts([2019, null, 3]), [2019]);
+    assert.deepEqual(extractDateParts([[null]]), []);
+});
+
+test('processDateFields records precision, parts and timestamps', () => {
+    const record = {
+        published: { 'date-parts': [[2019]] },
+        indexed: { 'date-parts': [[2024, 1, 2]], 'date-time': '2024-01-02T03:04:05Z', timestamp: 1704164645000 },
+        accepted: { 'date-parts': [[2018, 7]] },
+        license: [{ start: { 'date-parts': [[2019, 1, 1]] } }]
+    };
+    processDateFields(record);
+
+    assert.equal(record.published, '2019-01-01');
+    assert.equal(record['published-precision'], 'year');
+    assert.deepEqual(record['published-parts'], [2019]);
+    assert.equal(record['indexed-date-time'], '2024-01-02T03:04:05Z');
+    assert.equal(record['indexed-timestamp'], 1704164645000);
+    assert.deepEqual(record.accepted, { date: '2018-07-01', 'date-precision': 'month', 'date-parts': [2018, 7] });
+    assert.equal(record.license[0].start, '2019-01-01');
+    assert.equal(record.license[0]['start-precision'], 'day');
+});
+
+test('processDateFields drops dates without a valid year', () => {
+    const record = { issued: { 'date-parts': [[null]] } };
+    processDateFields(record);
+    assert.equal(record.issued, undefined);
+});
+
+test('processRelations rewrites the relation map as a list', () => {
+    const record = {
+        relation: {
+            'is-preprint-of': [{ id: '10.1/a', 'id-type': 'doi', 'asserted-by': 'subject' }],
+            'has-review': { id: '10.1/b', 'id-type': 'doi', 'asserted-by': 'object' }
+        }
+    };
+    processRelations(record);
+    assert.deepEqual(record.relation, [
+        { type: 'is-preprint-of', id: '10.1/a', 'id-type': 'doi', 'asserted-by': 'subject' },
+        { type: 'has-review', id: '10.1/b', 'id-type': 'doi', 'asserted-by': 'object' }
+    ]);
+});
+
+test('fixBigQueryIssues converts plain years and parses the rest', () => {
+    const record = { reference: [{ year: '2001' }, { key: 'r2', year: '2001-2002' }, { year: 'n.d.' }] };
+    fixBigQueryIssues(record);
+    assert.deepEqual(record.reference, [
+        { year: 2001 },
+        { key: 'r2', year_start: 2001, year_end: 2002, year_raw: '2001-2002', year_status: 'range' },
+        { year_raw: 'n.d.', year_status: 'invalid' }
+    ]);
+});
+
+test('parseYear handles ranges, circa, two-digit years and suffixes', () => {
+    assert.deepEqual(parseYear('2001-2002'), { start: 2001, end: 2002, status: 'range' });
+    assert.deepEqual(parseYear('1998/99'), { start: 1998, end: 1999, status: 'range' });
+    assert.deepEqual(parseYear('2001-02'), { start: 2001, end: 2002, status: 'range' });
+    assert.deepEqual(parseYear('1999-01'), { start: 1999, end: 1999, status: 'year_month' });
+    assert.deepEqual(parseYear('2015-06'), { start: 2015, end: 2015, status: 'year_month' });
+    assert.deepEqual(parseYear('2015-13'), { status: 'invalid' });
+    assert.deepEqual(parseYear('2015-4'), { status: 'invalid' });
+    assert.deepEqual(parseYear('2001 \u2013 2003'), { start: 2001, end: 2003, status: 'range' });
+    assert.deepEqual(parseYear('c1998'), { start: 1998, end: 1998, status: 'circa' });
+    assert.deepEqual(parseYear('ca. 1998-2000'), { start: 1998, end: 2000, status: 'circa' });
+    assert.deepEqual(parseYear('[1998?]'), { start: 1998, end: 1998, status: 'circa' });
+    assert.deepEqual(parseYear('98'), { start: 1998, end: 1998, status: 'two_digit' });
+    assert.deepEqual(parseYear('05'), { start: 2005, end: 2005, status: 'two_digit' });
+    assert.deepEqual(parseYear('26'), { start: 2026, end: 2026, status: 'two_digit' });
+    assert.deepEqual(parseYear('27'), { start: 1927, end: 1927, status: 'two_digit' });
+    assert.deepEqual(parseYear('2019a'), { start: 2019, end: 2019, status: 'suffix' });
+    assert.deepEqual(parseYear('(2019).'), { start: 2019, end: 2019, status: 'year' });
+    assert.deepEqual(parseYear('2002-2001'), { status: 'invalid' });
+    assert.deepEqual(parseYear('19981'), { status: 'invalid' });
+    assert.deepEqual(parseYear('in press'), { status: 'invalid' });
+});
+
+test('cleanNullValues drops nulls from objects and arrays', () => {
+    assert.deepEqual(
+        cleanNullValues({ a: null, b: [1, null, { c: null }], '*colidentifier*': null }),
+        { b: [1, {}], '*colidentifier*': '' }
+    );
+});
+
+test('flattenNestedArrays unwraps date-parts and keeps the groups of other nested arrays', () => {
+    assert.deepEqual(
+        flattenNestedArrays({ 'date-parts': [[2019, 5]], other: [[1, 2], 3, null, [[4]]] }),
+        { 'date-parts': [2019, 5], other: [{ values: [1, 2] }, { values: [3] }, null, { values: [{ values: [4] }] }] }
+    );
+});
+
+test('flattenNestedArrays applies the nested array policy set for each path', () => {
+    const record = {
+        author: [{ affiliation: [{ id: [['a', 'b'], ['c']] }] }],
+        'assertion-value': [[1, 2], [3]],
+        other: [[1], [2]]
+    };
+    const nestedArrays = { 'author.affiliation.id': 'concatenate', assertion_value: 'json', '*': 'first' };
+
+    assert.deepEqual(flattenNestedArrays(record, null, { nestedArrays }), {
+        author: [{ affiliation: [{ id: ['a', 'b', 'c'] }] }],
+        'assertion-value': '[[1,2],[3]]',
+        other: [1]
+    });
+    assert.throws(() => flattenNestedArrays(record, null, { nestedArrays: { other: 'merge' } }), /Unknown nested array policy for other: merge/);
+});
+
+test('flattenRemainingNestedArrays wraps the groups of leftover nested arrays', () => {
+    assert.deepEqual(flattenRemainingNestedArrays({ a: [[1], [2, 3]] }), { a: [{ values: [1] }, { values: [2, 3] }] });
+});
+
+test('replaceKeyDashes renames keys recursively', () => {
+    assert.deepEqual(
+        replaceKeyDashes({ 'is-referenced-by-count': 1, author: [{ 'authenticated-orcid': true }] }),
+        { is_referenced_by_count: 1, author: [{ authenticated_orcid: true }] }
+    );
+});
+
+test('standardizeRecord matches the multi-pass stages, including key order', () => {
+    const record = {
+        'date-parts': [[2020, 2]],
+        year: '2019-2020',
+        issued: { 'date-parts': [[null]] },
+        indexed: { 'date-parts': [[2024, 1, 2]], 'date-time': '2024-01-02T03:04:05Z', timestamp: 1704164645000 },
+        created: { 'date-parts': [[2023, 12]], 'date-time': '2023-12-01T00:00:00Z' },
+        license: [{ start: { 'date-parts': [[2020, 1, 1]] }, 'content-version': 'vor', 'date-parts': [[2021]] }, null],
+        relation: { 'is-preprint-of': [{ id: '10.1/b', 'id-type': 'doi', 'asserted-by': null }], cites: { id: 'x' } },
+        nested: [[1, null], [[2, 3]], null, { year: '1999', 'colidentifier-x': null, gone: null }],
+        '*colidentifier*': null
+    };
+    const expected = transformRecord(structuredClone(record), { stages: MULTI_PASS_STAGES });
+    const actual = standardizeRecord(structuredClone(record));
+    assert.equal(JSON.stringify(actual), JSON.stringify(expected));
+    assert.deepEqual(actual.nested, [{ values: [1] }, { values: [{ values: [2, 3] }] }, { values: [{ year: 1999, colidentifier_x: '' }] }]);
+    assert.deepEqual(actual.license[0], {
+        start: '2020-01-01',
+        content_version: 'vor',
+        start_precision: 'day',
+        start_parts: [2020, 1, 1],
+        date: '2021-01-01',
+        date_precision: 'year',
+        date_parts: [2021]
+    });
+});
+
+test('standardizeRecord matches the multi-pass stages under each nested array policy', () => {
+    const record = {
+        author: [{ affiliation: [{ id: [[{ 'id-type': 'ROR', id: 'x' }], [null]] }] }],
+        license: [[{ start: { 'date-parts': [[2020, 1, 1]] } }], [{ URL: 'u' }]],
+        relation: { cites: [[{ id: '10.1/a' }]] },
+        nested: [[1, null], [[2, 3]], null, 4]
+    };
+    for (const policy of ['wrap', 'concatenate', 'json', 'first']) {
+        const options = { nestedArrays: { '*': policy } };
+        const expected = transformRecord(structuredClone(record), {
+            stages: MULTI_PASS_STAGES.map(name => (name === 'flattenNestedArrays' ? { name, options } : name))
+        });
+        const actual = standardizeRecord(structuredClone(record), options);
+        assert.equal(JSON.stringify(actual), JSON.stringify(expected), policy);
+    }
+});
+
+test('identifier normalizers give canonical forms and check digits', () => {
+    assert.deepEqual(normalizeDoi(' https://doi.org/10.1000/ABC.def '), { value: '10.1000/abc.def' });
+    assert.deepEqual(normalizeDoi('doi:10.1000/x'), { value: '10.1000/x' });
+    assert.deepEqual(normalizeDoi('not a doi'), { error: 'format' });
+
+    assert.deepEqual(normalizeOrcid('http://orcid.org/0000-0002-1825-0097'), { value: '0000-0002-1825-0097' });
+    assert.deepEqual(normalizeOrcid('000000021694233x'), { value: '0000-0002-1694-233X' });
+    assert.deepEqual(normalizeOrcid('https://orcid.org/0000-0002-1825-0098'), { error: 'checksum' });
+    assert.deepEqual(normalizeOrcid('0000-0002-1825'), { error: 'format' });
+
+    assert.deepEqual(normalizeIssn('03178471'), { value: '0317-8471' });
+    assert.deepEqual(normalizeIssn('2434-561x'), { value: '2434-561X' });
+    assert.deepEqual(normalizeIssn('1234-5678'), { error: 'checksum' });
+    assert.deepEqual(normalizeIssn('1234'), { error: 'format' });
+
+    assert.deepEqual(normalizeIsbn('0-306-40615-2'), { value: '9780306406157' });
+    assert.deepEqual(normalizeIsbn('080442957X'), { value: '9780804429573' });
+    assert.deepEqual(normalizeIsbn('979-10-90636-07-1'), { value: '9791090636071' });
+    assert.deepEqual(normalizeIsbn('978-0-306-40615-8'), { error: 'checksum' });
+    assert.deepEqual(normalizeIsbn('12345'), { error: 'format' });
+});
+
+test('normalizeIdentifiers adds canonical forms and flags invalid values', () => {
+    const record = normalizeIdentifiers({
+        DOI: '10.1000/ABC',
+        author: [{ ORCID: 'http://orcid.org/0000-0002-1825-0097' }, { ORCID: 'http://orcid.org/0000-0002-1825-0098' }, { given: 'No ORCID' }],
+        editor: [{ ORCID: '0000-0002-1694-233X' }],
+        ISSN: ['0317-8471', '03178471', '1234-5678'],
+        ISBN: ['9780306406157', '0-306-40615-2']
+    });
+
+    assert.equal(record.doi_normalized, '10.1000/abc');
+    assert.equal(record.author[0].orcid_normalized, '0000-0002-1825-0097');
+    assert.equal(record.author[1].orcid_normalized, undefined);
+    assert.equal(record.author[2].orcid_normalized, undefined);
+    assert.equal(record.editor[0].orcid_normalized, '0000-0002-1694-233X');
+    assert.deepEqual(record.issn_normalized, ['0317-8471']);
+    assert.deepEqual(record.isbn_normalized, ['9780306406157']);
+    assert.deepEqual(record.invalid_identifiers, [
+        { field: 'author.ORCID', value: 'http://orcid.org/0000-0002-1825-0098', reason: 'checksum' },
+        { field: 'ISSN', value: '1234-5678', reason: 'checksum' }
+    ]);
+    // The original values are kept as they were
+    assert.deepEqual(record.ISSN, ['0317-8471', '03178471', '1234-5678']);
+
+    assert.deepEqual(normalizeIdentifiers({ title: ['No identifiers'] }), { title: ['No identifiers'] });
+});
+
+test('transformRecord accepts custom stages', () => {
+    const dropAbstract = (record) => {
+        delete record.abstract;
+    };
+    const result = transformRecord(
+        { DOI: '10.1/a', abstract: 'x', 'is-referenced-by-count': 1 },
+        { stages: [dropAbstract, 'replaceKeyDashes'] }
+    );
+    assert.deepEqual(result, { DOI: '10.1/a', is_referenced_by_count: 1 });
+});
+
+test('transformRecord rejects unknown built-in stages', () => {
+    assert.throws(() => transformRecord({}, { stages: ['noSuchStage'] }), /Unknown pipeline stage/);
+});
+
+test('processJsonlFile counts the forms of year values', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'processor-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const records = [
+            { DOI: '10.1/a', reference: [{ year: '2001' }, { year: '2001-02' }, { year: 'c1998' }] },
+            { DOI: '10.1/b', reference: [{ year: '1999' }, { year: 'forthcoming' }] },
+            { DOI: '10.1/c' }
+        ];
+        fs.writeFileSync(inputPath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+        const result = await processJsonlFile(inputPath, path.join(dir, '001_processed.jsonl.gz'), { quiet: true });
+
+        assert.deepEqual(result.yearForms, { plain: 2, range: 1, circa: 1, invalid: 1 });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile writes rejected lines to a dead-letter file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'processor-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl.gz');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const lines = ['{"DOI":"10.1/a"}', '{not json', '{"DOI":"10.1/fail"}'];
+        fs.writeFileSync(inputPath, zlib.gzipSync(lines.join('\n') + '\n'));
+
+        const failOnDoi = (record) => {
+            if (record.DOI === '10.1/fail') throw new Error('boom');
+        };
+        const result = await processJsonlFile(inputPath, outputPath, {
+            quiet: true,
+            stages: [...DEFAULT_STAGES, failOnDoi]
+        });
+
+        assert.equal(result.processedCount, 1);
+        assert.equal(result.errorCount, 2);
+        assert.equal(result.rejectedPath, path.join(dir, '001_rejected.jsonl.gz'));
+        assert.equal(result.rejectedCount, 2);
+        assert.deepEqual(result.rejectedByStage, { parse: 1, failOnDoi: 1 });
+        assert.equal(result.inputLines, 3);
+        assert.equal(result.inputBytes, fs.statSync(inputPath).size);
+        assert.equal(result.inputSha256, crypto.createHash('sha256').update(fs.readFileSync(inputPath)).digest('hex'));
+
+        const rejected = zlib.gunzipSync(fs.readFileSync(result.rejectedPath)).toString()
+            .trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(rejected.map(({ source_file, line_number, stage, line }) => ({ source_file, line_number, stage, line })), [
+            { source_file: '001.jsonl.gz', line_number: 2, stage: 'parse', line: '{not json' },
+            { source_file: '001.jsonl.gz', line_number: 3, stage: 'failOnDoi', line: '{"DOI":"10.1/fail"}' }
+        ]);
+        assert.equal(rejected[1].error, 'boom');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
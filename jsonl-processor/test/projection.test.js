@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { compileProjection, loadProjection, projectRecord, pruneSchema } = require('../src/projection');
+const { processJsonlFile, getCitationsPath } = require('../src/processor');
+
+const record = {
+    DOI: '10.1/a',
+    title: ['A title'],
+    abstract: 'Long text',
+    issued: '2020-01-01',
+    issued_parts: [2020],
+    author: [
+        { given: 'Ada', family: 'Lovelace', ORCID: 'x', affiliation: [{ name: 'Uni', id: [{ id: 'r' }] }] },
+        { name: 'A Consortium' }
+    ],
+    reference: [{ key: 'r1', DOI: '10.1/b' }]
+};
+
+test('projectRecord keeps included fields and drops excluded ones', () => {
+    const slim = projectRecord(record, compileProjection({
+        include: ['doi', 'title', 'issued*', 'author.family', 'author.affiliation'],
+        exclude: ['*_parts', 'author.affiliation.id']
+    }));
+
+    assert.deepEqual(slim, {
+        DOI: '10.1/a',
+        title: ['A title'],
+        issued: '2020-01-01',
+        author: [{ family: 'Lovelace', affiliation: [{ name: 'Uni' }] }]
+    });
+    // The record itself is left alone
+    assert.deepEqual(record.author[0].affiliation[0].id, [{ id: 'r' }]);
+});
+
+test('projectRecord with only excludes keeps everything else', () => {
+    const slim = projectRecord(record, compileProjection({ exclude: ['reference', 'abstract', '**.id'] }));
+
+    assert.deepEqual(Object.keys(slim), ['DOI', 'title', 'issued', 'issued_parts', 'author']);
+    assert.deepEqual(slim.author[0].affiliation, [{ name: 'Uni' }]);
+    assert.deepEqual(slim.author[1], record.author[1]);
+});
+
+test('compileProjection rejects invalid specs', () => {
+    assert.throws(() => compileProjection([]), /must be an object/);
+    assert.throws(() => compileProjection({}), /at least one include or exclude path/);
+    assert.throws(() => compileProjection({ fields: ['DOI'] }), /Unknown projection key: fields/);
+    assert.throws(() => compileProjection({ include: 'DOI' }), /include must be an array/);
+    assert.throws(() => compileProjection({ include: ['author..family'] }), /Invalid projection path: author\.\.family/);
+});
+
+test('pruneSchema keeps the fields a projection keeps', () => {
+    const schema = [
+        { fields: [{ mode: 'NULLABLE', name: 'family', type: 'STRING' }, { mode: 'NULLABLE', name: 'ORCID', type: 'STRING' }], mode: 'REPEATED', name: 'author', type: 'RECORD' },
+        { mode: 'NULLABLE', name: 'DOI', type: 'STRING' },
+        { fields: [{ mode: 'NULLABLE', name: 'key', type: 'STRING' }], mode: 'REPEATED', name: 'reference', type: 'RECORD' },
+        { mode: 'NULLABLE', name: 'title', type: 'STRING' }
+    ];
+
+    assert.deepEqual(pruneSchema(schema, compileProjection({ include: ['DOI', 'author', 'reference.doi'], exclude: ['author.orcid'] })), [
+        { fields: [{ mode: 'NULLABLE', name: 'family', type: 'STRING' }], mode: 'REPEATED', name: 'author', type: 'RECORD' },
+        { mode: 'NULLABLE', name: 'DOI', type: 'STRING' }
+    ]);
+});
+
+test('works_core only lists fields in schema.json and keeps the normalized ORCID', () => {
+    const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema.json'), 'utf8'));
+    const projectionPath = path.join(__dirname, '..', 'projections', 'works_core.json');
+    const pruned = pruneSchema(schema, loadProjection(projectionPath));
+
+    const fieldNames = fields => fields.map(field => field.name.toLowerCase());
+    const topLevel = fieldNames(pruned);
+    for (const include of JSON.parse(fs.readFileSync(projectionPath, 'utf8')).include) {
+        assert.ok(topLevel.includes(include.split('.')[0].toLowerCase()), `${include} is not in schema.json`);
+    }
+    const author = fieldNames(pruned.find(field => field.name === 'author').fields);
+    assert.ok(author.includes('orcid_normalized'));
+    assert.ok(!author.includes('orcid') && !author.includes('authenticated_orcid') && !author.includes('affiliation'));
+});
+
+test('processJsonlFile writes projected records and citations from the whole record', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projection-test-'));
+    try {
+        const inputPath = path.join(dir, '001.jsonl');
+        const outputPath = path.join(dir, '001_processed.jsonl.gz');
+        const projectionPath = path.join(dir, 'slim.json');
+        fs.writeFileSync(projectionPath, JSON.stringify({ include: ['DOI', 'title'] }));
+        fs.writeFileSync(inputPath, JSON.stringify({ DOI: '10.1/a', title: ['T'], reference: [{ key: 'r1', DOI: '10.1/B' }] }) + '\n');
+
+        const result = await processJsonlFile(inputPath, outputPath, {
+            quiet: true,
+            projection: projectionPath,
+            citationsPath: getCitationsPath(outputPath),
+            validate: 'quarantine',
+            schema: [
+                { mode: 'NULLABLE', name: 'DOI', type: 'STRING' },
+                { mode: 'REPEATED', name: 'title', type: 'STRING' },
+                { mode: 'NULLABLE', name: 'doi_normalized', type: 'STRING' }
+            ]
+        });
+
+        assert.equal(result.invalidCount, 0);
+        assert.equal(result.citationsCount, 1);
+        assert.deepEqual(JSON.parse(zlib.gunzipSync(fs.readFileSync(outputPath)).toString()), { DOI: '10.1/a', title: ['T'] });
+        assert.throws(() => loadProjection(path.join(dir, 'missing.json')), /Could not read projection/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { processJsonlFile, transformRecord } = require('../src/processor');
+const { detectFormat, getInputBaseName, readRecords, readJsonItems } = require('../src/readers');
+
+// Collects everything an async iterable yields
+async function collect(iterable) {
+    const values = [];
+    for await (const value of iterable) {
+        values.push(value);
+    }
+    return values;
+}
+
+// Splits text into small chunks so records straddle chunk boundaries
+function chunked(text, size = 7) {
+    const buffer = Buffer.from(text);
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.subarray(i, i + size));
+    }
+    return Readable.from(chunks);
+}
+
+// Builds a ustar archive from { name: contents } (a `type` of '5' makes a directory)
+function tarArchive(members) {
+    const blocks = [];
+    for (const { name, data = Buffer.alloc(0), type = '0' } of members) {
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+        header.write(' '.repeat(8), 148);
+        header.write(type, 156);
+        header.write('ustar\x0000', 257);
+        let checksum = 0;
+        for (const byte of header) {
+            checksum += byte;
+        }
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+test('detectFormat recognises jsonl, json and tar inputs', () => {
+    assert.equal(detectFormat('0.jsonl.gz'), 'jsonl');
+    assert.equal(detectFormat('data/0.jsonl'), 'jsonl');
+    assert.equal(detectFormat('0.ndjson'), 'jsonl');
+    assert.equal(detectFormat('0.json.gz'), 'json');
+    assert.equal(detectFormat('April 2024 Public Data File.tar'), 'tar');
+    assert.equal(detectFormat('snapshot.tar.gz'), 'tar');
+    assert.equal(detectFormat('snapshot.tgz'), 'tar');
+    assert.equal(detectFormat('README.md'), null);
+});
+
+test('getInputBaseName strips only the format extension', () => {
+    assert.equal(getInputBaseName('0.jsonl.gz'), '0');
+    assert.equal(getInputBaseName('data/raw/12.ndjson'), '12');
+    assert.equal(getInputBaseName('2024.01.json.gz'), '2024.01');
+    assert.equal(getInputBaseName('April 2024 Public Data File.tar'), 'April 2024 Public Data File');
+    assert.equal(getInputBaseName('snapshot.tgz'), 'snapshot');
+    assert.equal(getInputBaseName('README.md'), 'README.md');
+});
+
+test('readJsonItems streams the elements of the items array', async () => {
+    const document = JSON.stringify({
+        status: 'ok',
+        nested: { items: ['not these'] },
+        items: [
+            { DOI: '10.1/a', title: ['A "quoted", [bracketed] title'] },
+            { DOI: '10.1/b', 'escaped\\"key': '}' }
+        ],
+        after: true
+    }, null, 2);
+
+    const items = await collect(readJsonItems(chunked(document)));
+
+    assert.deepEqual(items.map(item => JSON.parse(item)), JSON.parse(document).items);
+});
+
+test('readJsonItems accepts top-level arrays and REST API responses', async () => {
+    const response = { status: 'ok', message: { 'total-results': 2, items: [{ DOI: '10.1/a' }, { DOI: '10.1/b' }] } };
+
+    assert.deepEqual(await collect(readJsonItems(chunked(JSON.stringify(response)))), ['{"DOI":"10.1/a"}', '{"DOI":"10.1/b"}']);
+    assert.deepEqual(await collect(readJsonItems(chunked('[1, "two", {"x": 3}]'))), ['1', '"two"', '{"x": 3}']);
+    assert.deepEqual(await collect(readJsonItems(chunked('{"items": []}'))), []);
+    await assert.rejects(collect(readJsonItems(chunked('{"items": [{"DOI": "10.1/a"'))), /Unexpected end of JSON input/);
+    await assert.rejects(collect(readJsonItems(chunked('{"status": "ok"}'))), /No items array/);
+});
+
+test('readRecords reads json/jsonl members of a tar archive in order', async () => {
+    const archive = tarArchive([
+        { name: 'snapshot', type: '5' },
+        { name: 'snapshot/0.json.gz', data: zlib.gzipSync('{"items":[{"DOI":"10.1/a"},{"DOI":"10.1/b"}]}') },
+        { name: 'snapshot/README.txt', data: Buffer.from('Not records') },
+        { name: 'snapshot/1.jsonl', data: Buffer.from('{"DOI":"10.1/c"}\n') }
+    ]);
+
+    const records = await collect(readRecords(chunked(zlib.gzipSync(archive), 100), 'snapshot.tar.gz'));
+
+    assert.deepEqual(records, [
+        { entry: 'snapshot/0.json.gz' },
+        '{"DOI":"10.1/a"}',
+        '{"DOI":"10.1/b"}',
+        { entry: 'snapshot/1.jsonl' },
+        '{"DOI":"10.1/c"}'
+    ]);
+    await assert.rejects(collect(readRecords(chunked(Buffer.alloc(512, 1)), 'bad.tar')), /Invalid tar header checksum/);
+});
+
+test('processJsonlFile processes tar archives and records the member of rejected records', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readers-test-'));
+    try {
+        const inputPath = path.join(dir, 'snapshot.tar');
+        const outputPath = path.join(dir, 'snapshot_processed.jsonl.gz');
+        const records = [{ DOI: '10.1/a', 'published-print': { 'date-parts': [[2020, 1]] } }, { DOI: '10.1/b' }];
+        fs.writeFileSync(inputPath, tarArchive([
+            { name: '0.json.gz', data: zlib.gzipSync(JSON.stringify({ items: records })) },
+            { name: '1.json', data: Buffer.from('{"items":[{"DOI":"10.1/c"}, {"DOI": bad}]}') }
+        ]));
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true });
+
+        const output = zlib.gunzipSync(fs.readFileSync(outputPath)).toString().trim().split('\n');
+        assert.deepEqual(output, [...records, { DOI: '10.1/c' }].map(record => JSON.stringify(transformRecord(record))));
+        assert.equal(result.processedCount, 3);
+        assert.equal(result.inputLines, 4);
+        assert.equal(result.inputBytes, fs.statSync(inputPath).size);
+
+        const [rejected] = zlib.gunzipSync(fs.readFileSync(result.rejectedPath)).toString().trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(rejected.archive_entry, '1.json');
+        assert.equal(rejected.line_number, 4);
+        assert.equal(rejected.stage, 'parse');
+        assert.equal(rejected.line, '{"DOI": bad}');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('processJsonlFile reads plain uncompressed JSONL', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'readers-test-'));
+    try {
+        const inputPath = path.join(dir, '0.jsonl');
+        const outputPath = path.join(dir, '0_processed.jsonl.gz');
+        fs.writeFileSync(inputPath, '{"DOI":"10.1/a"}\r\n\r\n{"DOI":"10.1/b"}');
+
+        const result = await processJsonlFile(inputPath, outputPath, { quiet: true });
+
+        assert.equal(result.processedCount, 2);
+        assert.equal(result.rejectedPath, null);
+        await assert.rejects(processJsonlFile(inputPath, outputPath, { quiet: true, format: 'xml' }), /Invalid format option/);
+        await assert.rejects(processJsonlFile(inputPath, outputPath, { quiet: true, format: 'json' }), /after the end of the JSON document/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
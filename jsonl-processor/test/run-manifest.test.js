@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunManifest, getGitInfo, loadRunManifestEntries } = require('../src/run-manifest');
+
+const fileResult = (overrides = {}) => ({
+    inputBytes: 100,
+    inputSha256: 'a'.repeat(64),
+    inputLines: 10,
+    processedCount: 8,
+    filteredCount: 3,
+    rejectedCount: 2,
+    rejectedByStage: { parse: 1, validate: 1 },
+    invalidCount: 1,
+    violationSummary: { 'unknown subject': 1 },
+    outputPath: '/data/processed/0_processed.jsonl.gz',
+    outputBytes: 50,
+    outputSha256: 'b'.repeat(64),
+    rejectedPath: '/data/processed/0_rejected.jsonl.gz',
+    resumedFromLine: 0,
+    yearForms: { plain: 5, range: 1 },
+    ...overrides
+});
+
+test('RunManifest records files and totals in every manifest path', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-manifest-test-'));
+    try {
+        const paths = [path.join(dir, 'run.manifest.json'), path.join(dir, 'manifest.json')];
+        const manifest = new RunManifest(paths, { resume: true });
+
+        manifest.addFile('0.jsonl.gz', 1.5, fileResult());
+        manifest.addFile('1.jsonl.gz', 2, fileResult({ rejectedByStage: { parse: 3 }, rejectedCount: 3, yearForms: { plain: 2, circa: 1 } }));
+        manifest.addFile('2.jsonl.gz', 0.5, null, new Error('Invalid gzip file'));
+        manifest.finish();
+
+        for (const manifestPath of paths) {
+            const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            assert.deepEqual(data.options, { resume: true });
+            assert.equal(data.interrupted, false);
+            assert.ok(data.finishedAt);
+            assert.equal(data.files.length, 3);
+            assert.equal(data.files[0].output, '0_processed.jsonl.gz');
+            assert.equal(data.files[0].rejected, '0_rejected.jsonl.gz');
+            assert.deepEqual(data.files[2], { file: '2.jsonl.gz', status: 'failed', durationSeconds: 0.5, error: 'Invalid gzip file' });
+            assert.deepEqual(data.totals, {
+                files: 3,
+                completed: 2,
+                skipped: 0,
+                failed: 1,
+                inputBytes: 200,
+                inputLines: 20,
+                outputRecords: 16,
+                filteredRecords: 6,
+                rejectedRecords: 5,
+                invalidRecords: 2,
+                errorCategories: { parse: 4, validate: 1 },
+                yearForms: { plain: 7, range: 1, circa: 1 },
+                durationSeconds: 4
+            });
+        }
+        assert.deepEqual(fs.readdirSync(dir).sort(), ['manifest.json', 'run.manifest.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('RunManifest carries files skipped on resume forward', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-manifest-test-'));
+    try {
+        const manifestPath = path.join(dir, 'manifest.json');
+        const first = new RunManifest(manifestPath, {});
+        first.addFile('0.jsonl.gz', 1.5, fileResult());
+        first.finish();
+        const completed = (output, outputSha256) => ({ output, outputBytes: 50, outputSha256, records: 4, filtered: 0, invalid: 0, completedAt: '2026-01-01T00:00:00.000Z' });
+
+        const previous = loadRunManifestEntries(manifestPath);
+        const resumed = new RunManifest(manifestPath, {});
+        resumed.addSkippedFile('0.jsonl.gz', completed('0_processed.jsonl.gz', 'b'.repeat(64)), previous.get('0.jsonl.gz'));
+        // Without a matching earlier entry, the completed.json entry is used
+        resumed.addSkippedFile('1.jsonl.gz', completed('1_processed.jsonl.gz', 'c'.repeat(64)), previous.get('1.jsonl.gz'));
+        resumed.addFile('2.jsonl.gz', 1, fileResult({ outputPath: '/data/processed/2_processed.jsonl.gz' }));
+
+        const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        assert.deepEqual(data.files.map(entry => [entry.file, entry.status]), [['0.jsonl.gz', 'skipped'], ['1.jsonl.gz', 'skipped'], ['2.jsonl.gz', 'completed']]);
+        assert.equal(data.files[0].inputSha256, 'a'.repeat(64));
+        assert.equal(data.files[0].durationSeconds, 0);
+        assert.equal(data.files[1].output, '1_processed.jsonl.gz');
+        assert.equal(data.files[1].outputRecords, 4);
+        assert.equal(data.totals.skipped, 2);
+        assert.equal(data.totals.completed, 1);
+        assert.equal(data.totals.outputRecords, 20);
+        assert.equal(data.totals.inputBytes, 200);
+        assert.equal(loadRunManifestEntries(path.join(dir, 'missing.json')).size, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('getGitInfo returns nulls outside a git checkout', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-manifest-test-'));
+    try {
+        assert.deepEqual(getGitInfo(dir), { commit: null, dirty: null });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSchemas, formatDiff, hasChanges, parseArgs } = require('../src/schema-diff');
+
+const oldSchema = [
+    { mode: 'NULLABLE', name: 'issue', type: 'INTEGER' },
+    { mode: 'NULLABLE', name: 'subject', type: 'STRING' },
+    {
+        fields: [{ mode: 'NULLABLE', name: 'given', type: 'STRING' }],
+        mode: 'REPEATED',
+        name: 'author',
+        type: 'RECORD'
+    },
+    { mode: 'NULLABLE', name: 'relation', type: 'STRING' }
+];
+
+const newSchema = [
+    { mode: 'NULLABLE', name: 'issue', type: 'STRING' },
+    {
+        fields: [
+            { mode: 'NULLABLE', name: 'given', type: 'STRING' },
+            { mode: 'NULLABLE', name: 'ORCID', type: 'STRING' }
+        ],
+        mode: 'REPEATED',
+        name: 'author',
+        type: 'RECORD'
+    },
+    { mode: 'REPEATED', name: 'relation', type: 'STRING' }
+];
+
+test('diffSchemas lists changes by dotted path', () => {
+    const diff = diffSchemas(oldSchema, newSchema);
+    assert.deepEqual(diff, {
+        added: [{ path: 'author.ORCID', type: 'STRING', mode: 'NULLABLE' }],
+        removed: [{ path: 'subject', type: 'STRING', mode: 'NULLABLE' }],
+        typeChanged: [{ path: 'issue', from: 'INTEGER', to: 'STRING' }],
+        modeChanged: [{ path: 'relation', from: 'NULLABLE', to: 'REPEATED' }]
+    });
+    assert.equal(hasChanges(diff), true);
+    assert.equal(hasChanges(diffSchemas(newSchema, newSchema)), false);
+});
+
+test('formatDiff renders text and Markdown reports', () => {
+    const diff = diffSchemas(oldSchema, newSchema);
+    assert.equal(formatDiff(diff, 'text'), [
+        '+ author.ORCID (STRING, NULLABLE)',
+        '- subject (STRING, NULLABLE)',
+        '~ issue: type INTEGER -> STRING',
+        '~ relation: mode NULLABLE -> REPEATED',
+        '',
+        '1 added, 1 removed, 1 type changed, 1 mode changed',
+        ''
+    ].join('\n'));
+
+    const markdown = formatDiff(diff, 'markdown', { from: '2024.json', to: '2025.json' });
+    assert.match(markdown, /^## Schema changes: `2024.json` → `2025.json`/);
+    assert.match(markdown, /\| `issue` \| INTEGER \| STRING \|/);
+    assert.throws(() => formatDiff(diff, 'xml'), /Unknown format/);
+});
+
+test('parseArgs accepts --flag=value and --flag value', () => {
+    assert.deepEqual(parseArgs(['old.json', 'new.json', '--format', 'json', '--output=report.json']),
+        { format: 'json', output: 'report.json', data: false, files: ['old.json', 'new.json'] });
+    assert.deepEqual(parseArgs(['schema.json', '--data', '0_processed.jsonl.gz']),
+        { format: 'text', output: null, data: true, files: ['schema.json', '0_processed.jsonl.gz'] });
+    assert.throws(() => parseArgs(['--format']), /--format needs a value/);
+    assert.throws(() => parseArgs(['--ouput=x']), /Unknown option: --ouput=x/);
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaInferrer, mergeSchemas, inferScalarType, widenScalarTypes } = require('../src/schema-inference');
+
+test('inferScalarType detects types inside strings like bigquery-schema-generator', () => {
+    assert.equal(inferScalarType('78'), 'INTEGER');
+    assert.equal(inferScalarType('10.1234'), 'FLOAT');
+    assert.equal(inferScalarType('2019-05-01'), 'DATE');
+    assert.equal(inferScalarType('2019-05-03T10:11:12Z'), 'TIMESTAMP');
+    assert.equal(inferScalarType('true'), 'BOOLEAN');
+    assert.equal(inferScalarType('99999999999999999999'), 'FLOAT');
+    assert.equal(inferScalarType('journal-article'), 'STRING');
+    assert.equal(inferScalarType(3.5), 'FLOAT');
+    assert.equal(inferScalarType(false), 'BOOLEAN');
+});
+
+test('widenScalarTypes widens INTEGER to FLOAT to STRING', () => {
+    assert.equal(widenScalarTypes('INTEGER', 'FLOAT'), 'FLOAT');
+    assert.equal(widenScalarTypes('FLOAT', 'STRING'), 'STRING');
+    assert.equal(widenScalarTypes('DATE', 'INTEGER'), 'STRING');
+    assert.equal(widenScalarTypes('NULL', 'DATE'), 'DATE');
+});
+
+test('SchemaInferrer merges records into a sorted schema', () => {
+    const inferrer = new SchemaInferrer();
+    inferrer.addRecord({ DOI: '10.1/a', score: 1, author: [{ given: 'Ada' }], accepted: {} });
+    inferrer.addRecord({ DOI: '10.1/b', score: 1.5, author: [{ family: 'Lovelace', sequence: 'first' }], abstract: null });
+
+    assert.deepEqual(inferrer.toSchema(), [
+        { mode: 'NULLABLE', name: 'abstract', type: 'STRING' },
+        {
+            fields: [
+                { mode: 'NULLABLE', name: 'family', type: 'STRING' },
+                { mode: 'NULLABLE', name: 'given', type: 'STRING' },
+                { mode: 'NULLABLE', name: 'sequence', type: 'STRING' }
+            ],
+            mode: 'REPEATED',
+            name: 'author',
+            type: 'RECORD'
+        },
+        { mode: 'NULLABLE', name: 'DOI', type: 'STRING' },
+        { mode: 'NULLABLE', name: 'score', type: 'FLOAT' }
+    ]);
+    assert.equal(inferrer.recordCount, 2);
+    assert.deepEqual(inferrer.conflicts, [
+        { path: 'score', types: 'INTEGER vs FLOAT', resolution: 'widened to FLOAT' }
+    ]);
+});
+
+test('SchemaInferrer builds on an existing schema and reports conflicts', () => {
+    const inferrer = new SchemaInferrer();
+    inferrer.addSchema([{ mode: 'NULLABLE', name: 'issued', type: 'DATE' }]);
+    inferrer.addRecord({ issued: { date: '2019-01-01' }, title: 'A' });
+    inferrer.addRecord({ title: ['B'] });
+
+    assert.deepEqual(inferrer.conflicts.map(c => c.path), ['issued', 'title']);
+    const schema = inferrer.toSchema();
+    assert.equal(schema[0].type, 'RECORD');
+    assert.equal(schema[1].mode, 'REPEATED');
+});
+
+test('mergeSchemas unions nested RECORD fields and widens types', () => {
+    const base = [
+        { mode: 'NULLABLE', name: 'issue', type: 'INTEGER' },
+        {
+            fields: [{ mode: 'NULLABLE', name: 'given', type: 'STRING' }],
+            mode: 'REPEATED',
+            name: 'author',
+            type: 'RECORD'
+        }
+    ];
+    const incoming = [
+        { mode: 'NULLABLE', name: 'issue', type: 'STRING' },
+        {
+            fields: [
+                { mode: 'NULLABLE', name: 'family', type: 'STRING' },
+                {
+                    fields: [{ mode: 'NULLABLE', name: 'name', type: 'STRING' }],
+                    mode: 'REPEATED',
+                    name: 'affiliation',
+                    type: 'RECORD'
+                }
+            ],
+            mode: 'REPEATED',
+            name: 'author',
+            type: 'RECORD'
+        },
+        { mode: 'REQUIRED', name: 'DOI', type: 'STRING' }
+    ];
+
+    const { schema, conflicts } = mergeSchemas(base, incoming, { source: '002_processed.jsonl.gz' });
+
+    assert.deepEqual(schema, [
+        {
+            fields: [
+                {
+                    fields: [{ mode: 'NULLABLE', name: 'name', type: 'STRING' }],
+                    mode: 'REPEATED',
+                    name: 'affiliation',
+                    type: 'RECORD'
+                },
+                { mode: 'NULLABLE', name: 'family', type: 'STRING' },
+                { mode: 'NULLABLE', name: 'given', type: 'STRING' }
+            ],
+            mode: 'REPEATED',
+            name: 'author',
+            type: 'RECORD'
+        },
+        { mode: 'NULLABLE', name: 'DOI', type: 'STRING' },
+        { mode: 'NULLABLE', name: 'issue', type: 'STRING' }
+    ]);
+    assert.deepEqual(conflicts, [
+        { path: 'issue', types: 'INTEGER vs STRING', resolution: 'widened to STRING', source: '002_processed.jsonl.gz' },
+        { path: 'DOI', types: 'REQUIRED vs missing', resolution: 'using NULLABLE', source: '002_processed.jsonl.gz' }
+    ]);
+});
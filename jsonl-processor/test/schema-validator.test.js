@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSchema, validateRecord, isValidDate } = require('../src/schema-validator');
+
+const schema = loadSchema([
+    { mode: 'NULLABLE', name: 'DOI', type: 'STRING' },
+    { mode: 'NULLABLE', name: 'member', type: 'INTEGER' },
+    { mode: 'NULLABLE', name: 'issued', type: 'DATE' },
+    { mode: 'NULLABLE', name: 'indexed_date_time', type: 'TIMESTAMP' },
+    { mode: 'REPEATED', name: 'title', type: 'STRING' },
+    {
+        mode: 'REPEATED',
+        name: 'author',
+        type: 'RECORD',
+        fields: [
+            { mode: 'NULLABLE', name: 'given', type: 'STRING' },
+            { mode: 'REQUIRED', name: 'sequence', type: 'STRING' }
+        ]
+    }
+]);
+
+test('isValidDate checks real calendar dates', () => {
+    assert.equal(isValidDate('2020-02-29'), true);
+    assert.equal(isValidDate('2019-02-29'), false);
+    assert.equal(isValidDate('2019-13-01'), false);
+    assert.equal(isValidDate('2019-5-1'), false);
+});
+
+test('validateRecord accepts valid records and BigQuery coercions', () => {
+    const record = {
+        DOI: '10.1/a',
+        member: '78',
+        issued: '2019-05-01',
+        indexed_date_time: '2024-01-02T03:04:05Z',
+        title: ['A'],
+        author: [{ given: 'Ada', sequence: 'first' }]
+    };
+    assert.deepEqual(validateRecord(record, schema), []);
+});
+
+test('validateRecord reports unknown fields, types, modes and dates', () => {
+    const violations = validateRecord({
+        doi: '10.1/a',
+        extra: 1,
+        member: 'abc',
+        issued: '2019-13-01',
+        title: 'A',
+        author: [{ given: 'Ada' }, null, [1]]
+    }, schema);
+
+    assert.deepEqual(violations.map(v => `${v.kind} ${v.path}`), [
+        'unknown extra',
+        'type member',
+        'date issued',
+        'mode title',
+        'mode author[0].sequence',
+        'mode author[1]',
+        'mode author[2]'
+    ]);
+});
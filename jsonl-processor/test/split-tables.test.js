@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { TABLES, splitRecord, splitTables } = require('../src/split-tables');
+
+const readRows = (file) => zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n')
+    .filter(line => line)
+    .map(line => JSON.parse(line));
+
+const expected = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.expected.json`), 'utf8'));
+
+test('splitRecord moves the arrays into child rows keyed by DOI and position', () => {
+    const record = expected('journal-article');
+    const rows = splitRecord(record);
+
+    assert.deepEqual(Object.keys(rows), TABLES);
+    assert.equal(rows.works.length, 1);
+    for (const field of ['author', 'reference', 'funder', 'license', 'link']) {
+        assert.equal(rows.works[0][field], undefined);
+    }
+    assert.equal(rows.works[0].title[0], record.title[0]);
+    // The record itself is left alone
+    assert.ok(Array.isArray(record.author));
+
+    assert.deepEqual(rows.authors.map(author => [author.work_doi, author.position, author.family]), [
+        [record.DOI, 1, 'Carberry'],
+        [record.DOI, 2, 'Lovelace']
+    ]);
+    assert.deepEqual(rows.authors[0].affiliation, record.author[0].affiliation);
+    assert.deepEqual(rows.references[0], { work_doi: record.DOI, position: 1, ...record.reference[0] });
+    assert.equal(rows.licenses.length, 1);
+    assert.equal(rows.links.length, 1);
+    assert.deepEqual(rows.funders, []);
+});
+
+test('splitRecord keeps the join keys when an item has fields of the same name', () => {
+    const rows = splitRecord({ DOI: '10.1/a', link: [{ URL: 'u', position: 'top', work_doi: '10.1/other' }] });
+
+    assert.deepEqual(rows.links, [{ work_doi: '10.1/a', position: 1, URL: 'u' }]);
+    assert.deepEqual(Object.keys(rows.links[0]), ['work_doi', 'position', 'URL']);
+});
+
+test('splitTables writes a file per table and input, and a schema per table', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'split-tables-test-'));
+    try {
+        const input = path.join(dir, '7_processed.jsonl.gz');
+        const records = [
+            expected('journal-article'),
+            { DOI: '10.1/funded', funder: [{ name: 'Agency', DOI: '10.13039/1', award: ['A-1', 'A-2'] }] }
+        ];
+        fs.writeFileSync(input, zlib.gzipSync(records.map(record => JSON.stringify(record)).join('\n') + '\nnot json\n'));
+        const outputDir = path.join(dir, 'tables');
+
+        const totals = await splitTables([input], { outputDir, quiet: true });
+        assert.equal(totals.records, 2);
+        assert.equal(totals.invalid, 1);
+        assert.deepEqual(totals.rows, { works: 2, authors: 2, references: 2, funders: 1, licenses: 1, links: 1 });
+
+        for (const table of TABLES) {
+            assert.deepEqual(fs.readdirSync(path.join(outputDir, table)), [`7_${table}.jsonl.gz`]);
+        }
+        assert.deepEqual(readRows(path.join(outputDir, 'funders', '7_funders.jsonl.gz')), [
+            { work_doi: '10.1/funded', position: 1, name: 'Agency', DOI: '10.13039/1', award: ['A-1', 'A-2'] }
+        ]);
+
+        const fundersSchema = JSON.parse(fs.readFileSync(path.join(outputDir, 'funders.schema.json'), 'utf8'));
+        assert.deepEqual(fundersSchema.map(field => [field.name, field.type, field.mode]), [
+            ['award', 'STRING', 'REPEATED'],
+            ['DOI', 'STRING', 'NULLABLE'],
+            ['name', 'STRING', 'NULLABLE'],
+            ['position', 'INTEGER', 'NULLABLE'],
+            ['work_doi', 'STRING', 'NULLABLE']
+        ]);
+        const authorsSchema = JSON.parse(fs.readFileSync(path.join(outputDir, 'authors.schema.json'), 'utf8'));
+        assert.equal(authorsSchema.find(field => field.name === 'affiliation').type, 'RECORD');
+        const worksSchema = JSON.parse(fs.readFileSync(path.join(outputDir, 'works.schema.json'), 'utf8'));
+        assert.equal(worksSchema.some(field => field.name === 'reference'), false);
+
+        // A later run builds on the schemas already there
+        const other = path.join(dir, '8_processed.jsonl.gz');
+        fs.writeFileSync(other, zlib.gzipSync(JSON.stringify({ DOI: '10.1/other', funder: [{ name: 'Other', doi_asserted_by: 'crossref' }] })));
+        await splitTables([other], { outputDir, quiet: true });
+        const merged = JSON.parse(fs.readFileSync(path.join(outputDir, 'funders.schema.json'), 'utf8'));
+        assert.deepEqual(merged.map(field => field.name), ['award', 'DOI', 'doi_asserted_by', 'name', 'position', 'work_doi']);
+        assert.equal(fs.readdirSync(path.join(outputDir, 'funders')).length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
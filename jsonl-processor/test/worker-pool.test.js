@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { WorkerPool } = require('../src/worker-pool');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'src', 'process-worker.js');
+
+test('WorkerPool processes files on worker threads', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-test-'));
+    const pool = new WorkerPool(2, WORKER_SCRIPT);
+    try {
+        const tasks = [0, 1, 2].map((i) => {
+            const inputPath = path.join(dir, `${i}.jsonl.gz`);
+            fs.writeFileSync(inputPath, zlib.gzipSync(`{"DOI":"10.1/${i}","issued":{"date-parts":[[2019]]}}\n`));
+            return { inputPath, outputPath: path.join(dir, `${i}_processed.jsonl.gz`), options: { quiet: true } };
+        });
+
+        const results = await Promise.all(tasks.map(task => pool.run(task)));
+        assert.deepEqual(results.map(r => r.processedCount), [1, 1, 1]);
+
+        const output = JSON.parse(zlib.gunzipSync(fs.readFileSync(tasks[2].outputPath)).toString());
+        assert.equal(output.DOI, '10.1/2');
+        assert.equal(output.issued, '2019-01-01');
+    } finally {
+        await pool.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('WorkerPool rejects tasks that fail in the worker', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-test-'));
+    const pool = new WorkerPool(1, WORKER_SCRIPT);
+    try {
+        const task = {
+            inputPath: path.join(dir, 'missing.jsonl.gz'),
+            outputPath: path.join(dir, 'missing_processed.jsonl.gz'),
+            options: { quiet: true }
+        };
+        await assert.rejects(pool.run(task), /ENOENT/);
+    } finally {
+        await pool.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});